@@ -1,11 +1,12 @@
 /* server.js — Prompt-driven voice agent (transport only)
    - Model decides everything via tools; JS executes verbatim
-   - μ-law passthrough: Twilio → Deepgram, ElevenLabs TTS → Twilio
+   - μ-law passthrough: Twilio → STT (Deepgram), TTS (ElevenLabs or Deepgram) → Twilio; see "Providers"
    - Robustness: singleton WS, serialized TTS, single-flight LLM, slim deps
    
-   ✅ FIXED FOR RECEPTORX INTEGRATION
-   - Only tool implementations changed to match ReceptorX API format
-   - All TTS, Deepgram, WebSocket, and prompt logic UNTOUCHED
+   ✅ RECEPTORX INTEGRATION
+   - Tools call the ReceptorX dashboard API (per-tenant urls); webhooks go through the durable outbox
+   - Calls are multi-tenant (tenants file) and carry prompt variants, history condensing, barge-in and metrics;
+     each area's section header below describes it
    
    ✅ V2 FIXES:
    - read_availability: Changed from GET to POST with JSON body
@@ -17,6 +18,13 @@ import bodyParser from "body-parser";
 import dotenv from "dotenv";
 import WebSocket, { WebSocketServer } from "ws";
 import axios from "axios";
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import crypto from "crypto";
+import { Readable } from "stream";
+import { AsyncLocalStorage } from "async_hooks";
+import { v4 as uuidv4 } from "uuid";
 
 dotenv.config();
 
@@ -28,6 +36,32 @@ const DEEPGRAM_API_KEY    = process.env.DEEPGRAM_API_KEY || "";
 const ELEVENLABS_API_KEY  = process.env.ELEVENLABS_API_KEY || "";
 const ELEVENLABS_VOICE_ID = process.env.ELEVENLABS_VOICE_ID || "";
 
+// Speech/LLM providers (see "Providers" below); each stage's settings live here, not in request URLs
+const STT_PROVIDER = process.env.STT_PROVIDER || "deepgram";   // deepgram
+const TTS_PROVIDER = process.env.TTS_PROVIDER || "elevenlabs"; // elevenlabs | deepgram
+const LLM_PROVIDER = process.env.LLM_PROVIDER || "openai";     // openai (any OpenAI-compatible endpoint via OPENAI_BASE_URL)
+
+const DEEPGRAM_MODEL    = process.env.DEEPGRAM_MODEL    || "nova-2-phonecall";
+const DEEPGRAM_LANGUAGE = process.env.DEEPGRAM_LANGUAGE || "";
+// Default voice per TTS provider: an ElevenLabs voice id means nothing to Deepgram, and vice versa
+const TTS_DEFAULT_VOICE  = { elevenlabs: ELEVENLABS_VOICE_ID, deepgram: "aura-asteria-en" };
+const TTS_VOICE          = process.env.TTS_VOICE || TTS_DEFAULT_VOICE[TTS_PROVIDER] || ""; // ElevenLabs voice id, or Deepgram Aura model
+const ELEVENLABS_MODEL   = process.env.ELEVENLABS_MODEL || "";            // empty = the voice's default model
+const ELEVENLABS_LATENCY = process.env.ELEVENLABS_LATENCY || "3";         // optimize_streaming_latency 0-4
+const LLM_MODEL        = process.env.LLM_MODEL || "gpt-4o-mini";
+const LLM_TEMPERATURE  = Number(process.env.LLM_TEMPERATURE ?? 0.3);
+const LLM_API_KEY      = process.env.LLM_API_KEY || OPENAI_API_KEY;
+const LLM_TIMEOUT_MS   = Number(process.env.LLM_TIMEOUT_MS || 30000);
+const LLM_STREAM       = (process.env.LLM_STREAM || "true") === "true"; // speak each sentence as it streams in
+const LLM_COST_PER_1K  = Number(process.env.LLM_COST_PER_1K || 0.000375); // blended $/1K tokens for call cost
+
+// Upstream API bases; overridable so the offline simulator (sim/) can point them at local mocks
+const OPENAI_BASE_URL     = process.env.OPENAI_BASE_URL     || "https://api.openai.com/v1";
+const DEEPGRAM_LISTEN_URL = process.env.DEEPGRAM_LISTEN_URL || "wss://api.deepgram.com/v1/listen";
+const ELEVENLABS_BASE_URL = process.env.ELEVENLABS_BASE_URL || "https://api.elevenlabs.io/v1";
+const DEEPGRAM_SPEAK_URL  = process.env.DEEPGRAM_SPEAK_URL  || "https://api.deepgram.com/v1/speak";
+const TWILIO_API_BASE     = process.env.TWILIO_API_BASE     || "https://api.twilio.com";
+
 const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID || "";
 const TWILIO_AUTH_TOKEN  = process.env.TWILIO_AUTH_TOKEN  || "";
 const TWILIO_CALLER_ID   = process.env.TWILIO_CALLER_ID   || "";
@@ -45,19 +79,187 @@ const URLS = {
   LEAD_UPSERT:  process.env.DASH_LEAD_UPSERT_URL  || "",
   FAQ_LOG:      process.env.DASH_CALL_LOG_URL     || "",
   CALL_SUMMARY: process.env.DASH_CALL_SUMMARY_URL || "",
-  PROMPT_FETCH: process.env.PROMPT_FETCH_URL      || ""
+  PROMPT_FETCH: process.env.PROMPT_FETCH_URL      || "",
+  APPT_SEARCH:  process.env.DASH_APPOINTMENTS_SEARCH_URL || "",
+  SMS_LOG:      process.env.DASH_SMS_LOG_URL      || ""
 };
 
 const RECEPTORX_USER_ID = process.env.RECEPTORX_USER_ID || "developer-user";
 
+// Twilio request auth: X-Twilio-Signature on HTTP routes, signed one-time token on the media stream URL
+const TWILIO_AUTH_CHECK   = (process.env.TWILIO_AUTH_CHECK || "true") === "true";
+const STREAM_TOKEN_SECRET = process.env.STREAM_TOKEN_SECRET || TWILIO_AUTH_TOKEN;
+const STREAM_TOKEN_TTL_S  = Number(process.env.STREAM_TOKEN_TTL_S || 60);
+
+const DATA_DIR    = process.env.DATA_DIR    || "./data";
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+const FEED_TOKEN_TTL_S = Number(process.env.FEED_TOKEN_TTL_S || 60); // signed ?token= for the SSE feeds (see "Live call monitoring")
+
+// Local call history (DATA_DIR/calls/<YYYY-MM-DD>.jsonl), served by /api/calls
+const CALL_HISTORY      = (process.env.CALL_HISTORY || "true") === "true";
+const CALL_HISTORY_DAYS = Number(process.env.CALL_HISTORY_DAYS || 30);
+
+// Pre-rendered μ-law for fixed phrases (phrase list: TTS_CACHE_PHRASES, see "TTS audio cache")
+const TTS_CACHE     = (process.env.TTS_CACHE || "true") === "true";
+const TTS_CACHE_DIR = process.env.TTS_CACHE_DIR || path.join(DATA_DIR, "tts-cache");
+
+const OUTBOX_MAX_ATTEMPTS  = Number(process.env.OUTBOX_MAX_ATTEMPTS  || 8);
+const OUTBOX_BASE_DELAY_MS = Number(process.env.OUTBOX_BASE_DELAY_MS || 5000);
+const OUTBOX_MAX_DELAY_MS  = Number(process.env.OUTBOX_MAX_DELAY_MS  || 30*60*1000);
+const OUTBOX_COMPACT_EVERY = Number(process.env.OUTBOX_COMPACT_EVERY || 1000); // journal records between rewrites
+
 const PRE_CONNECT_GREETING = process.env.PRE_CONNECT_GREETING || "";
 const RENDER_PROMPT        = process.env.RENDER_PROMPT || "";
+// Conversation history sent per turn: newest messages up to ~HISTORY_TOKEN_BUDGET tokens, older ones condensed
+const HISTORY_TOKEN_BUDGET = Number(process.env.HISTORY_TOKEN_BUDGET || 3000);
+// How long the caller's lines are gathered after a final transcript before the agent answers
+const TURN_DEBOUNCE_MS     = Number(process.env.TURN_DEBOUNCE_MS || 800);
+// Fetched prompts (PROMPT_FETCH_URL, promptFetchUrl) are reused this long before revalidating (see "Prompt resolution")
+const PROMPT_CACHE_TTL_MS  = Number(process.env.PROMPT_CACHE_TTL_MS || 5*60*1000);
+
+// Slot search defaults (tenants may override bufferMinutes / slotStepMinutes / openHours)
+const SLOT_BUFFER_MINUTES = Number(process.env.SLOT_BUFFER_MINUTES || 15);
+const SLOT_STEP_MINUTES   = Number(process.env.SLOT_STEP_MINUTES   || 30);
+const DAY_KEYS = ["sun","mon","tue","wed","thu","fri","sat"]; // Date#getUTCDay order
+const DEFAULT_OPEN_HOURS  = Object.freeze({
+  mon:[["09:00","17:00"]], tue:[["09:00","17:00"]], wed:[["09:00","17:00"]],
+  thu:[["09:00","17:00"]], fri:[["09:00","17:00"]], sat:[], sun:[]
+});
+
+// Default appointment length per service when the model leaves the end time out (tenants: serviceDurations)
+const SERVICE_DURATIONS_DEFAULT = Object.freeze({ default:60 });
+// find_open_slots durationMinutes bounds: the tool schema enforces them, so the search never shortens a request
+const SLOT_MIN_MINUTES = 15, SLOT_MAX_MINUTES = 240;
+
+// Env tenant's business calendar: BIZ_OPEN_HOURS is JSON shaped like DEFAULT_OPEN_HOURS, BIZ_HOLIDAYS is "YYYY-MM-DD,..."
+const BIZ_HOLIDAYS = (process.env.BIZ_HOLIDAYS || "").split(",").map(x => x.trim()).filter(Boolean);
+
+// After-hours handling: off (answer as usual) | agent (AI with after-hours prompt) | voicemail (record a message)
+const AFTER_HOURS_MODE     = process.env.AFTER_HOURS_MODE     || "off";
+const AFTER_HOURS_GREETING = process.env.AFTER_HOURS_GREETING || "";
+const AFTER_HOURS_PROMPT   = process.env.AFTER_HOURS_PROMPT   || "";
+const AFTER_HOURS_TRANSFER = process.env.AFTER_HOURS_TRANSFER === "true";
+
+// SMS confirmations (tenants: sms:{ enabled, from, templates }); SMS_TEMPLATES env is JSON overriding any of these
+const SMS_ENABLED = (process.env.SMS_ENABLED || "true") === "true";
+const SMS_FROM    = process.env.SMS_FROM || TWILIO_CALLER_ID;
+const SMS_TEMPLATES_DEFAULT = Object.freeze({
+  booked:            "{{biz}}: You're booked for {{title}} on {{date}} at {{time}}{{location}}. Reply C to confirm or CANCEL to cancel.",
+  rescheduled:       "{{biz}}: Your {{title}} has moved to {{date}} at {{time}}{{location}}. Reply C to confirm or CANCEL to cancel.",
+  cancelled:         "{{biz}}: Your {{title}} on {{date}} at {{time}} has been cancelled. Call us anytime to rebook.",
+  confirmReply:      "{{biz}}: Thanks{{name}}, you're confirmed for {{date}} at {{time}}. See you then!",
+  cancelReply:       "{{biz}}: Your {{title}} on {{date}} at {{time}} has been cancelled. Call us anytime to rebook.",
+  cancelFailedReply: "{{biz}}: Sorry, we couldn't cancel that automatically. Please give us a call.",
+  unknownReply:      "{{biz}}: Reply C to confirm or CANCEL to cancel your appointment on {{date}} at {{time}}.",
+  noAppointmentReply:"{{biz}}: We couldn't find an upcoming appointment for this number. Please give us a call."
+});
+
+// GET /metrics (Prometheus); open unless METRICS_TOKEN is set, then Bearer METRICS_TOKEN
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+
+// Logging: one JSON line per entry (LOG_FORMAT=text for humans). LOG_LEVEL debug|info|warn|error|silent;
+// DEBUG=false (legacy) means errors only. Full tool/LLM/caller payloads are logged at LOG_PAYLOAD_LEVEL,
+// with phone numbers, names and addresses masked unless LOG_REDACT=false
+const LOG_LEVELS = Object.freeze({ debug:10, info:20, warn:30, error:40, silent:99 });
+const LOG_LEVEL  = LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL
+                 : (process.env.DEBUG || "true") === "true" ? "info" : "error";
+const LOG_FORMAT = process.env.LOG_FORMAT === "text" ? "text" : "json";
+const LOG_PAYLOAD_LEVEL = LOG_LEVELS[process.env.LOG_PAYLOAD_LEVEL] ? process.env.LOG_PAYLOAD_LEVEL : "debug";
+const LOG_REDACT = (process.env.LOG_REDACT || "true") === "true";
+
+// Tools whose backing config (dashboard URL, Twilio creds, owner phone) is missing are hidden from the model
+const TOOLS_PRUNE = (process.env.TOOLS_PRUNE || "true") === "true";
+// GET /readyz probes each dashboard URL (any HTTP answer below 500 counts); results are reused for READYZ_CACHE_MS
+const READYZ_TIMEOUT_MS = Number(process.env.READYZ_TIMEOUT_MS || 3000);
+const READYZ_CACHE_MS   = Number(process.env.READYZ_CACHE_MS   || 15000);
+
+// Multi-tenant: JSON file of businesses keyed by id, matched on the dialed (To) number; hot reloaded
+const TENANTS_FILE = process.env.TENANTS_FILE || "./tenants.json";
+
+/* ===== Logging =====
+   - log("[TAG][SUB] message", ...) → { ts, level, event:"TAG.SUB", callSid, streamSid, msg, data }
+   - callSid/streamSid come from the call the code is running for (logContext, entered per WS connection)
+   - log() is info (❌ → error, ⚠️ → warn); log.debug / log.warn / log.error set it explicitly
+   - log.payload() is for full request/argument/transcript dumps: LOG_PAYLOAD_LEVEL, objects go to `data`
+   - Redaction: phone numbers anywhere; in `data`, name-like keys → initials, address-like keys → [redacted] */
+const logContext = new AsyncLocalStorage();
+const PHONE_RE = /(?<![\w+])(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}(?!\w)/g;
+const NAME_KEY_RE    = /^(name|customer_name|caller_name|event_name|title)$/i;
+const PHONE_KEY_RE   = /phone|^(from|to|caller)$/i;
+const ADDRESS_KEY_RE = /address|location|street|email|notes/i;
+
+function maskPhone(s){ return String(s).replace(/\d(?=(?:\D*\d){2})/g, "*"); }
+function maskName(s){ return String(s).replace(/(\p{L})[\p{L}'-]*/gu, (w, first) => first + "*".repeat(w.length - 1)); }
+function redactText(s){ return LOG_REDACT ? String(s).replace(PHONE_RE, maskPhone) : String(s); }
+function redact(v, key = ""){
+  if (!LOG_REDACT || v == null) return v;
+  if (Array.isArray(v)) return v.map(x => redact(x, key));
+  if (typeof v === "object") return Object.fromEntries(Object.entries(v).map(([k,x]) => [k, redact(x, k)]));
+  if (typeof v !== "string") return v;
+  if (NAME_KEY_RE.test(key))    return maskName(v);
+  if (PHONE_KEY_RE.test(key))   return maskPhone(v);
+  if (ADDRESS_KEY_RE.test(key)) return v ? "[redacted]" : v;
+  return redactText(v);
+}
+
+function writeLog(level, args){
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+  const parts = [...args];
+  let event = "";
+  const tags = typeof parts[0] === "string" && parts[0].match(/^((?:\[[^\]]+\])+)\s*([\s\S]*)$/);
+  if (tags) {
+    event = tags[1].slice(1, -1).split("][").join(".");
+    if (tags[2]) parts[0] = tags[2]; else parts.shift();
+  }
+  const isData = p => p && typeof p === "object" && !(p instanceof Error);
+  const data = parts.filter(isData);
+  const ws = logContext.getStore();
+  const entry = {
+    ts: new Date().toISOString(), level, event: event || undefined,
+    callSid: ws?._callSid || undefined, streamSid: ws?._streamSid || undefined,
+    msg: redactText(parts.filter(p => !isData(p)).map(p => p instanceof Error ? p.message : String(p)).join(" "))
+  };
+  if (data.length) entry.data = redact(data.length === 1 ? data[0] : data);
+  const out = level === "error" ? console.error : console.log;
+  if (LOG_FORMAT === "text") {
+    const sid = entry.callSid ? ` (${entry.callSid})` : "";
+    return out(`${entry.ts} ${level.toUpperCase()}${sid} ${event ? `[${event}] ` : ""}${entry.msg}${data.length ? " " + JSON.stringify(entry.data) : ""}`);
+  }
+  out(JSON.stringify(entry));
+}
+function log(...a){
+  const text = a.filter(x => typeof x === "string").join(" ");
+  writeLog(text.includes("❌") ? "error" : text.includes("⚠️") ? "warn" : "info", a);
+}
+log.debug   = (...a)=> writeLog("debug", a);
+log.warn    = (...a)=> writeLog("warn", a);
+log.error   = (...a)=> writeLog("error", a);
+log.payload = (...a)=> writeLog(LOG_PAYLOAD_LEVEL, a);
 
 /* ===== Minimal utils ===== */
-const DEBUG = (process.env.DEBUG || "true") === "true";
-const log = (...a)=>{ if (DEBUG) console.log(...a); };
 async function httpPost(url, data, cfg={}){ return axios.post(url, data, cfg); }
 async function httpGet(url, cfg={}){ return axios.get(url, cfg); }
+// Dashboard (ReceptorX) POSTs, timed per endpoint for /metrics
+async function dashPost(endpoint, url, data, cfg={}){
+  const elapsed = startTimer();
+  try {
+    const r = await httpPost(url, data, cfg);
+    observe(M.dashSeconds, { endpoint, status:r.status }, elapsed());
+    return r;
+  } catch(e){
+    observe(M.dashSeconds, { endpoint, status:e?.response?.status || "error" }, elapsed());
+    throw e;
+  }
+}
+function safeEqual(a="", b=""){
+  const x = Buffer.from(String(a)), y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+function jsonEnv(name, fallback){
+  if (!process.env[name]) return fallback;
+  try { return JSON.parse(process.env[name]); }
+  catch(e){ log(`[ENV] ⚠️ ${name} is not valid JSON, using default:`, e?.message); return fallback; }
+}
 function escapeXml(s = "") {
   return s.replace(/[<>&'"]/g, c => ({
     '<': '&lt;',
@@ -68,70 +270,1171 @@ function escapeXml(s = "") {
   }[c]));
 }
 
+/* ===== Metrics: in-process registry, Prometheus text format on GET /metrics =====
+   - counter / gauge / histogram with labels; no client library needed for this handful of series
+   - Gauges that mirror live state (active calls, outbox) are filled in at scrape time */
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 3, 5, 10, 30];
+const DURATION_BUCKETS = [15, 30, 60, 120, 180, 300, 600, 1200];
+const metricRegistry = new Map(); // name -> { type, help, buckets, series: Map(labelString -> number | histogram) }
+
+function metric(type, name, help, buckets = LATENCY_BUCKETS){
+  metricRegistry.set(name, { type, help, buckets, series:new Map() });
+  return name;
+}
+function labelString(labels = {}){
+  return Object.entries(labels)
+    .filter(([,v]) => v !== undefined && v !== null && v !== "")
+    .map(([k,v]) => `${k}="${String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`)
+    .join(",");
+}
+function inc(name, labels, by = 1){
+  const m = metricRegistry.get(name), k = labelString(labels);
+  m.series.set(k, (m.series.get(k) || 0) + by);
+}
+function setGauge(name, labels, value){
+  metricRegistry.get(name).series.set(labelString(labels), value);
+}
+function observe(name, labels, seconds){
+  const m = metricRegistry.get(name), k = labelString(labels);
+  let h = m.series.get(k);
+  if (!h) m.series.set(k, h = { buckets: m.buckets.map(()=> 0), sum:0, count:0 });
+  m.buckets.forEach((b,i)=>{ if (seconds <= b) h.buckets[i]++; });
+  h.sum += seconds;
+  h.count++;
+}
+function startTimer(){
+  const t0 = process.hrtime.bigint();
+  return ()=> Number(process.hrtime.bigint() - t0) / 1e9;
+}
+function renderMetrics(){
+  const out = [];
+  const series = (name, k, extra, v) => out.push(`${name}${k || extra ? `{${[k, extra].filter(Boolean).join(",")}}` : ""} ${v}`);
+  for (const [name, m] of metricRegistry) {
+    out.push(`# HELP ${name} ${m.help}`, `# TYPE ${name} ${m.type}`);
+    for (const [k, v] of m.series) {
+      if (m.type !== "histogram") { series(name, k, "", v); continue; }
+      m.buckets.forEach((b,i)=> series(`${name}_bucket`, k, `le="${b}"`, v.buckets[i]));
+      series(`${name}_bucket`, k, `le="+Inf"`, v.count);
+      series(`${name}_sum`, k, "", v.sum);
+      series(`${name}_count`, k, "", v.count);
+    }
+  }
+  return out.join("\n") + "\n";
+}
+
+const M = {
+  activeCalls:   metric("gauge",     "voice_active_calls", "Calls with a live media stream"),
+  calls:         metric("counter",   "voice_calls_total", "Finished calls by outcome and end reason"),
+  variantCalls:  metric("counter",   "voice_prompt_variant_calls_total", "Finished calls by prompt A/B variant and outcome"),
+  callSeconds:   metric("histogram", "voice_call_duration_seconds", "Call duration", DURATION_BUCKETS),
+  toolCalls:     metric("counter",   "voice_tool_calls_total", "Tool invocations by tool, result and error code"),
+  toolSeconds:   metric("histogram", "voice_tool_duration_seconds", "Tool execution time"),
+  sttConnections:metric("counter",   "voice_stt_connections_total", "STT connections opened"),
+  sttErrors:     metric("counter",   "voice_stt_errors_total", "STT connection errors"),
+  sttFinals:     metric("counter",   "voice_stt_finals_total", "Final transcripts received"),
+  sttToLlm:      metric("histogram", "voice_stt_final_to_llm_seconds", "STT final transcript to LLM request"),
+  llmSeconds:    metric("histogram", "voice_llm_request_seconds", "LLM chat completion duration"),
+  llmTokens:     metric("counter",   "voice_llm_tokens_total", "LLM tokens by type"),
+  ttsFirstByte:  metric("histogram", "voice_tts_first_byte_seconds", "TTS request to first audio byte"),
+  ttsChars:      metric("counter",   "voice_tts_characters_total", "Characters sent to TTS (cache hits excluded)"),
+  bargeIns:      metric("counter",   "voice_barge_ins_total", "Caller interrupted the agent"),
+  dashSeconds:   metric("histogram", "voice_dashboard_request_seconds", "Dashboard (ReceptorX) HTTP request duration"),
+  costUsd:       metric("counter",   "voice_estimated_cost_usd_total", "Estimated spend by component"),
+  outboxItems:   metric("gauge",     "voice_outbox_items", "Undelivered dashboard webhooks by status"),
+  memory:        metric("gauge",     "process_resident_memory_bytes", "Resident memory size"),
+  uptime:        metric("gauge",     "process_uptime_seconds", "Process uptime")
+};
+
+// voice_tool_calls_total "error" label: the codes tools return. Anything else (a dashboard's free-text data.error passed
+// through to the model) counts as "other", so the label can't grow a new series per message
+const TOOL_ERROR_CODES = new Set([
+  "UNKNOWN", "TOOL_NOT_FOUND", "BAD_ARGUMENTS_JSON", "INVALID_ARGUMENTS",
+  "MISSING_START_TIME", "BAD_TIME_FORMAT", "NONEXISTENT_LOCAL_TIME", "END_NOT_AFTER_START", "TIME_IN_PAST", "OUTSIDE_BUSINESS_HOURS",
+  "AVAILABILITY_NOT_CONFIRMED", "ALREADY_BOOKED", "BAD_DURATION", "BAD_FROM_ISO", "BAD_TO_ISO", "EMPTY_SEARCH_WINDOW",
+  "CAL_READ_URL_MISSING", "CAL_CREATE_URL_MISSING", "CAL_CANCEL_URL_MISSING", "SEARCH_URL_MISSING", "LEAD_UPSERT_URL_MISSING",
+  "RESCHEDULE_CONFIG_MISSING", "TRANSFER_CONFIG_MISSING", "HANGUP_CONFIG_MISSING", "TRANSFER_UNAVAILABLE_AFTER_HOURS",
+  "READ_FAILED", "SLOT_SEARCH_FAILED", "CREATE_FAILED", "DELETE_FAILED", "SEARCH_FAILED", "LEAD_FAILED", "TRANSFER_FAILED", "HANGUP_FAILED",
+  "MISSING_EVENT_ID", "UNKNOWN_EVENT", "SLOT_TAKEN", "CANCEL_FAILED", "ROLLBACK_FAILED"
+]);
+function toolErrorLabel(error){
+  return TOOL_ERROR_CODES.has(error) ? error : "other";
+}
+
+/* ===== Tenants: per-business config resolved from the dialed number =====
+   - "default" tenant comes from env (the single-business setup); TENANTS_FILE adds more:
+       { "default":"victory", "tenants": { "<id>": { numbers:[...], biz, tz, hours, openHours, bufferMinutes,
+         slotStepMinutes, serviceDurations, holidays, afterHours, ownerPhone, callerId, voiceId, userId, source,
+         preConnectGreeting, prompt | promptFile, promptFetchUrl, promptVariants, outbound, sms, urls:{...} } } }
+   - openHours: { mon:[["09:00","17:00"]], ..., sun:[] } in the tenant's tz; "hours" (the prompt/spoken
+     version) is derived from it unless given
+   - holidays: ["2025-12-25", { date:"2025-12-24", name:"Christmas Eve", hours:[["09:00","12:00"]] }]
+   - afterHours: { mode:"off"|"agent"|"voicemail", greeting, prompt, allowTransfer }
+   - serviceDurations: { buyer:60, seller:45, default:60 } minutes, used when a tool call omits the end time
+   - outbound: { appointment_reminder:{ opening, prompt }, ... } overrides the built-in outbound scripts
+   - promptVariants: [{ id, weight, prompt | promptFile | promptFetchUrl }] A/B split (env tenant: PROMPT_VARIANTS)
+   - sms: { enabled, from, templates:{ booked, cancelled, ... } } (sender defaults to callerId)
+   - File tenants share the env dashboard URLS unless they override them; nothing business-specific is inherited
+   - Prompts may use {{biz}}, {{tz}} and {{hours}}
+   - A reload that fails validation keeps the last good config live */
+const AFTER_HOURS_MODES = ["off", "agent", "voicemail"];
+const HM_RE = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const ENV_OPEN_HOURS = normalizeOpenHours(jsonEnv("BIZ_OPEN_HOURS", DEFAULT_OPEN_HOURS), "env");
+const ENV_TENANT = Object.freeze({
+  id: "default",
+  numbers: [],
+  biz: DASH_BIZ,
+  tz: BIZ_TZ,
+  hours: describeHours(ENV_OPEN_HOURS),
+  openHours: ENV_OPEN_HOURS,
+  holidays: normalizeHolidays(BIZ_HOLIDAYS, "env"),
+  afterHours: { mode:AFTER_HOURS_MODE, greeting:AFTER_HOURS_GREETING, prompt:AFTER_HOURS_PROMPT, allowTransfer:AFTER_HOURS_TRANSFER },
+  bufferMinutes: SLOT_BUFFER_MINUTES,
+  slotStepMinutes: SLOT_STEP_MINUTES,
+  serviceDurations: { ...SERVICE_DURATIONS_DEFAULT, ...jsonEnv("SERVICE_DURATIONS", {}) },
+  ownerPhone: OWNER_PHONE,
+  callerId: TWILIO_CALLER_ID,
+  voiceId: TTS_VOICE,
+  userId: RECEPTORX_USER_ID,
+  source: DASH_SRC,
+  preConnectGreeting: PRE_CONNECT_GREETING,
+  prompt: RENDER_PROMPT, // empty → PROMPT_FETCH, then the built-in FALLBACK_PROMPT
+  promptFetchUrl: URLS.PROMPT_FETCH,
+  promptVariants: normalizePromptVariants(jsonEnv("PROMPT_VARIANTS", []), "env", process.cwd()),
+  outbound: {},
+  sms: { enabled:SMS_ENABLED, from:SMS_FROM, templates:{ ...SMS_TEMPLATES_DEFAULT, ...jsonEnv("SMS_TEMPLATES", {}) } },
+  urls: URLS
+});
+let tenants = { byId: new Map([["default", ENV_TENANT]]), byNumber: new Map(), defaultId: "default" };
+
+function buildTenant(id, cfg){
+  if (!cfg?.biz) throw new Error(`tenant ${id}: biz is required`);
+  let prompt = cfg.prompt || "";
+  if (!prompt && cfg.promptFile) prompt = fs.readFileSync(path.resolve(path.dirname(TENANTS_FILE), cfg.promptFile), "utf8");
+  if (!prompt) throw new Error(`tenant ${id}: prompt or promptFile is required`);
+  const t = {
+    id,
+    numbers: (cfg.numbers || []).map(normalizePhone).filter(Boolean),
+    biz: cfg.biz,
+    tz: cfg.tz || BIZ_TZ,
+    openHours: normalizeOpenHours({ ...DEFAULT_OPEN_HOURS, ...(cfg.openHours || {}) }, id),
+    holidays: normalizeHolidays(cfg.holidays || [], id),
+    afterHours: {
+      mode: cfg.afterHours?.mode || "off",
+      greeting: cfg.afterHours?.greeting || "",
+      prompt: cfg.afterHours?.prompt || "",
+      allowTransfer: !!cfg.afterHours?.allowTransfer
+    },
+    bufferMinutes: cfg.bufferMinutes ?? SLOT_BUFFER_MINUTES,
+    slotStepMinutes: cfg.slotStepMinutes || SLOT_STEP_MINUTES,
+    serviceDurations: { ...SERVICE_DURATIONS_DEFAULT, ...(cfg.serviceDurations || {}) },
+    ownerPhone: cfg.ownerPhone || "",
+    callerId: cfg.callerId || "",
+    voiceId: cfg.voiceId || TTS_VOICE,
+    userId: cfg.userId || "",
+    source: cfg.source || DASH_SRC,
+    preConnectGreeting: cfg.preConnectGreeting || "",
+    promptFetchUrl: cfg.promptFetchUrl || "",
+    promptVariants: normalizePromptVariants(cfg.promptVariants || [], id, path.dirname(TENANTS_FILE)),
+    outbound: cfg.outbound || {},
+    sms: {
+      enabled: cfg.sms?.enabled ?? SMS_ENABLED,
+      from: cfg.sms?.from || cfg.callerId || "",
+      templates: { ...SMS_TEMPLATES_DEFAULT, ...(cfg.sms?.templates || {}) }
+    },
+    urls: { ...URLS, PROMPT_FETCH:"", ...(cfg.urls || {}) }
+  };
+  t.hours = cfg.hours || describeHours(t.openHours);
+  if (!AFTER_HOURS_MODES.includes(t.afterHours.mode)) throw new Error(`tenant ${id}: afterHours.mode must be one of ${AFTER_HOURS_MODES.join("/")}`);
+  t.prompt = renderPromptVars(prompt, t);
+  return Object.freeze(t);
+}
+function loadTenants(){
+  if (!fs.existsSync(TENANTS_FILE)) return;
+  try {
+    const cfg = JSON.parse(fs.readFileSync(TENANTS_FILE, "utf8"));
+    const byId = new Map([["default", ENV_TENANT]]);
+    const byNumber = new Map();
+    for (const [id, tc] of Object.entries(cfg.tenants || {})) {
+      const t = buildTenant(id, tc);
+      byId.set(id, t);
+      for (const n of t.numbers) {
+        if (byNumber.has(n)) throw new Error(`number ${n} is claimed by both ${byNumber.get(n)} and ${id}`);
+        byNumber.set(n, id);
+      }
+    }
+    const defaultId = cfg.default || "default";
+    if (!byId.has(defaultId)) throw new Error(`default tenant ${defaultId} is not defined`);
+    tenants = { byId, byNumber, defaultId };
+    log("[TENANTS] loaded", byId.size, "tenant(s),", byNumber.size, "number(s), default:", defaultId);
+  } catch(e){
+    log("[TENANTS] ❌ reload rejected, keeping previous config:", e?.message);
+  }
+}
+function getTenant(id){
+  return tenants.byId.get(id) || tenants.byId.get(tenants.defaultId) || ENV_TENANT;
+}
+function tenantForNumber(to){
+  return getTenant(tenants.byNumber.get(normalizePhone(to)));
+}
+function tenantOf(ws){
+  return ws?._tenant || getTenant();
+}
+function normalizeOpenHours(oh, who){
+  const out = {};
+  for (const day of DAY_KEYS) {
+    out[day] = (oh?.[day] || []).map(iv => {
+      if (!Array.isArray(iv) || !HM_RE.test(iv[0]) || !HM_RE.test(iv[1]) || hmToMinutes(iv[0]) >= hmToMinutes(iv[1])) {
+        throw new Error(`${who}: openHours.${day} has a bad interval ${JSON.stringify(iv)} (want ["09:00","17:00"])`);
+      }
+      return [iv[0], iv[1]];
+    });
+  }
+  return out;
+}
+function normalizeHolidays(list, who){
+  return list.map(h => {
+    const o = typeof h === "string" ? { date:h } : { ...h };
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(o.date || "")) throw new Error(`${who}: holiday ${JSON.stringify(h)} needs a YYYY-MM-DD date`);
+    return { date:o.date, name:o.name || "", hours: o.hours ? normalizeOpenHours({ mon:o.hours }, `${who} holiday ${o.date}`).mon : [] };
+  });
+}
+function normalizePromptVariants(list, who, baseDir){
+  if (!Array.isArray(list)) throw new Error(`${who}: promptVariants must be an array`);
+  const seen = new Set();
+  return list.map(v => {
+    const id = String(v?.id || "");
+    if (!id || seen.has(id)) throw new Error(`${who}: every prompt variant needs a unique id`);
+    seen.add(id);
+    const weight = Number(v.weight ?? 1);
+    if (!(weight >= 0)) throw new Error(`${who}: prompt variant ${id} has a bad weight ${JSON.stringify(v.weight)}`);
+    const prompt = v.prompt || (v.promptFile ? fs.readFileSync(path.resolve(baseDir, v.promptFile), "utf8") : "");
+    return { id, weight, prompt, promptFetchUrl: v.promptFetchUrl || "" };
+  });
+}
+function describeHours(oh){
+  const order = ["mon","tue","wed","thu","fri","sat","sun"];
+  const label = d => d[0].toUpperCase() + d.slice(1);
+  const groups = [];
+  for (const [i, day] of order.entries()) {
+    const spans = oh[day].map(([a,b]) => `${a}–${b}`).join(", ");
+    if (!spans) continue;
+    const g = groups.at(-1);
+    if (g && g.spans === spans && g.last === i - 1) { g.last = i; g.to = day; }
+    else groups.push({ from:day, to:day, last:i, spans });
+  }
+  return groups.map(g => `${label(g.from)}${g.to !== g.from ? `–${label(g.to)}` : ""} ${g.spans}`).join("; ") || "Closed";
+}
+function renderPromptVars(prompt, t){
+  return prompt.replace(/\{\{(biz|tz|hours)\}\}/g, (_,k)=> t[k]);
+}
+
+loadTenants();
+fs.watchFile(TENANTS_FILE, { interval:2000 }, (cur, prev)=>{
+  if (cur.mtimeMs === prev.mtimeMs) return;
+  log("[TENANTS] change detected");
+  loadTenants();
+  logConfigReport();
+  ttsCacheWarm(); // new tenants may bring new voices / business names
+});
+
+/* ===== Durable outbox: dashboard webhooks survive outages and restarts =====
+   - Append-only journal DATA_DIR/outbox.jsonl: {op:"put",item} = latest item state, {op:"del",id} = delivered
+   - Journal is replayed and compacted at startup, and again every OUTBOX_COMPACT_EVERY records so delivered
+     items don't pile up in it while the process runs
+   - First attempt runs inline; failures retry with exponential backoff, then dead-letter */
+const OUTBOX_FILE = path.join(DATA_DIR, "outbox.jsonl");
+const outbox = new Map(); // id -> item
+const outboxInflight = new Set();
+let outboxJournalRecords = 0; // appended since the last compaction
+
+// outbox is updated before each journal write, so it always holds what replaying the journal would give
+function outboxCompact(){
+  const tmp = OUTBOX_FILE + ".tmp";
+  fs.writeFileSync(tmp, [...outbox.values()].map(item => JSON.stringify({ op:"put", item }) + "\n").join(""));
+  fs.renameSync(tmp, OUTBOX_FILE);
+  outboxJournalRecords = outbox.size;
+}
+function outboxJournal(rec){
+  try {
+    fs.appendFileSync(OUTBOX_FILE, JSON.stringify(rec) + "\n");
+    if (++outboxJournalRecords >= OUTBOX_COMPACT_EVERY) {
+      outboxCompact();
+      log.debug("[OUTBOX] journal compacted to", outbox.size, "item(s)");
+    }
+  }
+  catch(e){ log.error("[OUTBOX] journal write failed:", e?.message); }
+}
+function outboxLoad(){
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive:true });
+    if (fs.existsSync(OUTBOX_FILE)) {
+      for (const line of fs.readFileSync(OUTBOX_FILE, "utf8").split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          const rec = JSON.parse(line);
+          if (rec.op === "put") outbox.set(rec.item.id, rec.item);
+          else if (rec.op === "del") outbox.delete(rec.id);
+        } catch {} // torn last line after a crash
+      }
+    }
+    outboxCompact();
+    log("[OUTBOX] loaded", outbox.size, "undelivered item(s)");
+  } catch(e){
+    log("[OUTBOX] ⚠️ journal unavailable, running in memory only:", e?.message);
+  }
+}
+
+async function outboxAttempt(item){
+  if (outboxInflight.has(item.id)) return { ok:false, error:"IN_FLIGHT" };
+  outboxInflight.add(item.id);
+  try {
+    const { data } = await dashPost(item.kind.toLowerCase(), item.url, item.data, { timeout:8000 });
+    outbox.delete(item.id);
+    outboxJournal({ op:"del", id:item.id });
+    log("[OUTBOX] ✅", item.kind, item.id, "delivered on attempt", item.attempts + 1);
+    return { ok:true, data };
+  } catch(e){
+    const status = e?.response?.status || 0;
+    item.attempts++;
+    item.lastError = `${status || "NO_RESPONSE"} ${e?.response?.data?.message || e?.message || ""}`.trim();
+    // A 4xx other than timeout / rate limit won't fix itself by retrying
+    const permanent = status >= 400 && status < 500 && status !== 408 && status !== 429;
+    if (permanent || item.attempts >= OUTBOX_MAX_ATTEMPTS) {
+      item.status = "dead";
+      log.error("[OUTBOX] ☠️ dead-lettered", item.kind, item.id, item.lastError);
+    } else {
+      item.nextAt = Date.now() + Math.min(OUTBOX_BASE_DELAY_MS * 2 ** (item.attempts - 1), OUTBOX_MAX_DELAY_MS);
+      log("[OUTBOX] ⚠️", item.kind, item.id, "attempt", item.attempts, "failed:", item.lastError);
+    }
+    outboxJournal({ op:"put", item });
+    return { ok:false, status, error:item.lastError };
+  } finally {
+    outboxInflight.delete(item.id);
+  }
+}
+
+// Queue a POST to one of the tenant's dashboard URLS; resolves with the first attempt's outcome, never throws
+async function outboxPost(t, kind, data){
+  const url = t.urls[kind];
+  if (!url) return { ok:false, error:`${kind}_URL_MISSING` };
+  const item = { id:uuidv4(), kind, tenant:t.id, url, data, status:"pending", attempts:0, nextAt:Date.now(), createdAt:new Date().toISOString(), lastError:"" };
+  outbox.set(item.id, item);
+  outboxJournal({ op:"put", item });
+  const r = await outboxAttempt(item);
+  return r.ok ? r : { ...r, queued: item.status === "pending", id: item.id };
+}
+
+function outboxReplay(item){
+  item.status = "pending";
+  item.attempts = 0;
+  item.nextAt = Date.now();
+  outboxJournal({ op:"put", item });
+  return outboxAttempt(item);
+}
+
+outboxLoad();
+setInterval(()=>{
+  const now = Date.now();
+  for (const item of outbox.values()) {
+    if (item.status === "pending" && item.nextAt <= now) outboxAttempt(item);
+  }
+}, 5000).unref();
+
+/* ===== Twilio request authentication =====
+   - HTTP: HMAC-SHA1(full URL + sorted POST params) with TWILIO_AUTH_TOKEN must match X-Twilio-Signature
+   - Media stream: /twiml mints a short-lived token bound to the CallSid into the <Stream> path
+     (Twilio drops query strings there); the upgrade is refused unless it verifies, and each token works once */
+const usedStreamTokens = new Map(); // sig -> exp
+
+function twilioSignature(url, params={}){
+  const data = Object.keys(params).sort().reduce((acc,k)=> acc + [].concat(params[k]).map(v => k + v).join(""), url);
+  return crypto.createHmac("sha1", TWILIO_AUTH_TOKEN).update(Buffer.from(data, "utf-8")).digest("base64");
+}
+function requireTwilio(req,res,next){
+  if (!TWILIO_AUTH_CHECK) return next();
+  if (!TWILIO_AUTH_TOKEN) {
+    log("[AUTH] ❌ TWILIO_AUTH_TOKEN not configured — rejecting", req.path);
+    return res.status(503).send("Service Unavailable");
+  }
+  const url = `${req.protocol}://${req.get("host")}${req.originalUrl}`;
+  if (!safeEqual(req.get("x-twilio-signature") || "", twilioSignature(url, req.body || {}))) {
+    log("[AUTH] ❌ bad Twilio signature", req.path, req.ip);
+    return res.status(403).send("Forbidden");
+  }
+  next();
+}
+
+function streamTokenSig(body){
+  return crypto.createHmac("sha256", STREAM_TOKEN_SECRET).update(body).digest("base64url");
+}
+function mintStreamToken(callSid){
+  const body = `${Math.floor(Date.now()/1000) + STREAM_TOKEN_TTL_S}.${callSid}`;
+  return `${body}.${streamTokenSig(body)}`;
+}
+function verifyStreamToken(token=""){
+  const [exp, callSid, sig] = token.split(".");
+  if (!STREAM_TOKEN_SECRET || !exp || !callSid || !sig) return null;
+  if (!safeEqual(sig, streamTokenSig(`${exp}.${callSid}`))) return null;
+  const now = Math.floor(Date.now()/1000);
+  if (Number(exp) < now || usedStreamTokens.has(sig)) return null;
+  for (const [k,e] of usedStreamTokens) if (e < now) usedStreamTokens.delete(k);
+  usedStreamTokens.set(sig, Number(exp));
+  return { callSid };
+}
+function streamUrl(host, callSid){
+  return TWILIO_AUTH_CHECK ? `wss://${host}/stream/${mintStreamToken(callSid)}` : `wss://${host}`;
+}
+// ws verifyClient hook — runs on the HTTP upgrade, before any upstream provider is touched
+function authorizeStream(info, cb){
+  if (!TWILIO_AUTH_CHECK) return cb(true);
+  const m = (info.req.url || "").match(/^\/stream\/([^/?#]+)/);
+  const claims = m ? verifyStreamToken(decodeURIComponent(m[1])) : null;
+  if (!claims) {
+    log("[AUTH] ❌ media stream rejected", info.req.socket?.remoteAddress);
+    return cb(false, 401, "Unauthorized");
+  }
+  info.req._streamClaims = claims;
+  cb(true);
+}
 
 /* ===== App / TwiML ===== */
 const app = express();
+app.set("trust proxy", true); // signature URL must use the public scheme behind Render's proxy
 app.use(bodyParser.urlencoded({ extended:false }));
 app.use(bodyParser.json());
 app.get("/", (_req,res)=>res.status(200).send("OK"));
 app.get("/healthz", (_req,res)=>res.status(200).send("ok"));
+app.get("/readyz", async (req,res)=>{
+  const { missing, tenants:tools } = configReport();
+  const dashboard = await probeDashboard();
+  const ok = !missing.length && Object.values(dashboard).every(d => d.ok);
+  // What is missing or down is for operators only: the probe itself is public
+  const admin = ADMIN_TOKEN && safeEqual(req.get("authorization") || "", `Bearer ${ADMIN_TOKEN}`);
+  res.status(ok ? 200 : 503).json(admin ? { ok, missing, dashboard, tools } : { ok });
+});
 
-app.post("/twiml", (req,res)=>{
+app.get("/metrics", (req,res)=>{
+  if (METRICS_TOKEN && !safeEqual(req.get("authorization") || "", `Bearer ${METRICS_TOKEN}`)) return res.status(401).send("Unauthorized\n");
+  metricRegistry.get(M.activeCalls).series.clear();
+  for (const ws of activeCalls()) inc(M.activeCalls, { tenant: tenantOf(ws).id });
+  metricRegistry.get(M.outboxItems).series.clear();
+  for (const item of outbox.values()) inc(M.outboxItems, { status: item.status });
+  setGauge(M.memory, {}, process.memoryUsage().rss);
+  setGauge(M.uptime, {}, Math.round(process.uptime()));
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+app.post("/twiml", requireTwilio, (req,res)=>{
   const from = req.body?.From || "";
   const callSid = req.body?.CallSid || "";
+  const tenant = tenantForNumber(req.body?.To || "");
   const host = process.env.RENDER_EXTERNAL_HOSTNAME || `localhost:${PORT}`;
-  const say = PRE_CONNECT_GREETING ? `<Say>${escapeXml(PRE_CONNECT_GREETING)}</Say>` : "";
+  const afterHours = tenant.afterHours.mode !== "off" && !isOpenNow(tenant);
+  log("[TWIML]", callSid, "to", req.body?.To, "→ tenant", tenant.id, afterHours ? `(after hours: ${tenant.afterHours.mode})` : "");
+
+  if (afterHours && tenant.afterHours.mode === "voicemail") {
+    const greeting = tenant.afterHours.greeting || `You've reached ${tenant.biz}. We're closed right now; our hours are ${tenant.hours}. Please leave a message after the beep.`;
+    return res.type("text/xml").send(`
+    <Response>
+      <Say>${escapeXml(greeting)}</Say>
+      <Record maxLength="120" playBeep="true" action="/voicemail?tenant=${encodeURIComponent(tenant.id)}" method="POST"/>
+    </Response>
+  `.trim());
+  }
+
+  const greeting = (afterHours && tenant.afterHours.greeting) || tenant.preConnectGreeting;
+  const say = greeting ? `<Say>${escapeXml(greeting)}</Say>` : "";
   res.type("text/xml").send(`
     <Response>
       ${say}
       <Connect>
-        <Stream url="wss://${host}" track="inbound_track">
-          <Parameter name="from" value="${from}"/>
-          <Parameter name="CallSid" value="${callSid}"/>
-          <Parameter name="callSid" value="${callSid}"/>
+        <Stream url="${escapeXml(streamUrl(host, callSid))}" track="inbound_track">
+          <Parameter name="from" value="${escapeXml(from)}"/>
+          <Parameter name="CallSid" value="${escapeXml(callSid)}"/>
+          <Parameter name="callSid" value="${escapeXml(callSid)}"/>
+          <Parameter name="tenant" value="${escapeXml(tenant.id)}"/>
+          <Parameter name="afterHours" value="${afterHours ? "1" : "0"}"/>
         </Stream>
       </Connect>
     </Response>
   `.trim());
 });
 
-app.post("/handoff", (_req,res)=>{
+// <Record> action for after-hours voicemail: report it like any other finished call
+app.post("/voicemail", requireTwilio, async (req,res)=>{
+  const tenant = getTenant(req.query.tenant);
+  const { CallSid="", From="", RecordingUrl="", RecordingDuration="0" } = req.body || {};
+  log("[VOICEMAIL]", CallSid, "from", From, "tenant", tenant.id, RecordingUrl ? `${RecordingDuration}s` : "(no recording)");
+  if (RecordingUrl) {
+    const summary = {
+      callSid: CallSid, tenant: tenant.id, from: From, slots: {}, transcript: "",
+      outcome: "voicemail", endReason: "after_hours_voicemail", endDetail: "",
+      recordingUrl: RecordingUrl, duration: Number(RecordingDuration) || 0
+    };
+    for (const kind of ["CALL_SUMMARY", "FAQ_LOG"]) if (tenant.urls[kind]) outboxPost(tenant, kind, summary);
+    callHistoryWrite({ ...summary, startedAt: new Date().toISOString() });
+  }
   res.type("text/xml").send(`
     <Response>
-      <Dial callerId="${TWILIO_CALLER_ID}">
-        <Number>${OWNER_PHONE}</Number>
+      <Say>Thanks for your message. We'll get back to you soon. Goodbye.</Say>
+      <Hangup/>
+    </Response>
+  `.trim());
+});
+
+app.post("/handoff", requireTwilio, (req,res)=>{
+  const tenant = getTenant(req.query.tenant);
+  res.type("text/xml").send(`
+    <Response>
+      <Dial callerId="${escapeXml(tenant.callerId || TWILIO_CALLER_ID)}">
+        <Number>${escapeXml(tenant.ownerPhone)}</Number>
       </Dial>
     </Response>
   `.trim());
 });
 
+/* ===== Admin (Bearer ADMIN_TOKEN) ===== */
+function requireAdmin(req,res,next){
+  if (!ADMIN_TOKEN) return res.status(503).json({ ok:false, error:"ADMIN_TOKEN_MISSING" });
+  const auth = req.get("authorization") || "";
+  if (!safeEqual(auth, `Bearer ${ADMIN_TOKEN}`)) return res.status(401).json({ ok:false, error:"UNAUTHORIZED" });
+  next();
+}
+// Browsers' EventSource can't send headers, so event feeds also take ?token= from POST /admin/calls/feed-token:
+// signed with ADMIN_TOKEN, good for FEED_TOKEN_TTL_S and only for the feed it was minted for
+function feedTokenSig(body){
+  return crypto.createHmac("sha256", ADMIN_TOKEN).update(`feed.${body}`).digest("base64url");
+}
+function mintFeedToken(callSid = ""){
+  const body = `${Math.floor(Date.now()/1000) + FEED_TOKEN_TTL_S}.${callSid}`;
+  return `${body}.${feedTokenSig(body)}`;
+}
+function verifyFeedToken(token, callSid){
+  const [exp, sid, sig] = token.split(".");
+  if (!ADMIN_TOKEN || !exp || sid === undefined || !sig || sid !== callSid) return false;
+  return safeEqual(sig, feedTokenSig(`${exp}.${sid}`)) && Number(exp) >= Math.floor(Date.now()/1000);
+}
+function requireAdminFeed(req,res,next){
+  if (req.query.token == null) return requireAdmin(req,res,next);
+  if (!verifyFeedToken(String(req.query.token), req.params.callSid || "")) return res.status(401).json({ ok:false, error:"UNAUTHORIZED" });
+  next();
+}
+
+app.get("/admin/outbox", requireAdmin, (req,res)=>{
+  const status = req.query.status || "";
+  const items = [...outbox.values()].filter(i => !status || i.status === status);
+  res.json({ ok:true, count:items.length, items });
+});
+app.post("/admin/outbox/replay", requireAdmin, async (_req,res)=>{
+  const dead = [...outbox.values()].filter(i => i.status === "dead");
+  const results = await Promise.all(dead.map(outboxReplay));
+  res.json({ ok:true, replayed:dead.length, delivered:results.filter(r => r.ok).length });
+});
+app.post("/admin/outbox/:id/replay", requireAdmin, async (req,res)=>{
+  const item = outbox.get(req.params.id);
+  if (!item) return res.status(404).json({ ok:false, error:"NOT_FOUND" });
+  const r = await outboxReplay(item);
+  res.json({ ok:r.ok, item: outbox.get(item.id) || null, error:r.error });
+});
+app.delete("/admin/outbox/:id", requireAdmin, (req,res)=>{
+  if (!outbox.delete(req.params.id)) return res.status(404).json({ ok:false, error:"NOT_FOUND" });
+  outboxJournal({ op:"del", id:req.params.id });
+  res.json({ ok:true });
+});
+
+/* ===== Outbound calls: reminders, lead follow-ups, reschedule offers =====
+   POST /outbound/calls { to, purpose, tenant?, context:{ name, leadId, eventId, title, startISO, endISO, location, notes } }
+   - Twilio dials `to` and fetches /twiml/outbound, which hands purpose + context to the stream as <Parameter>s
+   - The agent opens with the purpose's line instead of the inbound greeting
+   - Unanswered calls are reported through /outbound/status
+   - Tenants may override any purpose's opening/prompt via outbound:{ <purpose>:{ opening, prompt } }
+   - Openings/prompts may use {{name}}, {{when}}, {{biz}} */
+const OUTBOUND_PURPOSES = {
+  appointment_reminder: {
+    opening: "Hi{{name}}, this is {{biz}} calling to remind you about your appointment {{when}}. Are you still able to make it?",
+    prompt: "Confirm the caller can make their appointment. If they can't, offer to move it: the event is already known, so skip find_customer_events and use find_open_slots, then reschedule_appointment with context.eventId. If they want to cancel, use cancel_appointment with context.eventId."
+  },
+  lead_followup: {
+    opening: "Hi{{name}}, this is {{biz}} following up on your recent inquiry. Do you have a quick minute?",
+    prompt: "Follow up on the lead's interest (see context.notes). Answer questions, and offer to book a consultation. Record anything new with lead_upsert."
+  },
+  reschedule_offer: {
+    opening: "Hi{{name}}, this is {{biz}}. We need to move your appointment {{when}}. Could we find a new time that works for you?",
+    prompt: "The business needs to move the caller's appointment. Use find_open_slots to offer new times, then reschedule_appointment with context.eventId once they pick one."
+  }
+};
+
+function outboundVars(T, context){
+  const start = context?.startISO ? parseWhen(context.startISO, T.tz) : null;
+  return {
+    biz: T.biz,
+    name: context?.name ? ` ${String(context.name).split(/\s+/)[0]}` : "",
+    when: start ? `on ${spokenTime(start, T.tz)}` : ""
+  };
+}
+function outboundText(template, vars){
+  return template.replace(/\{\{(name|when|biz)\}\}/g, (_,k)=> vars[k]).replace(/\s{2,}/g, " ").replace(/\s+([.,?])/g, "$1").trim();
+}
+function outboundScript(T, purpose, context){
+  const base = OUTBOUND_PURPOSES[purpose];
+  const over = T.outbound?.[purpose] || {};
+  const vars = outboundVars(T, context);
+  return { opening: outboundText(over.opening || base.opening, vars), prompt: outboundText(over.prompt || base.prompt, vars) };
+}
+function outboundNote(ws){
+  const { purpose, context, opening } = ws._outbound;
+  return [
+    `OUTBOUND CALL: you (${tenantOf(ws).biz}) placed this call; the person did not call you. Purpose: ${purpose}.`,
+    `You already opened with: "${opening}" — do NOT use the inbound greeting.`,
+    outboundScript(tenantOf(ws), purpose, context).prompt,
+    `Context: ${JSON.stringify(context)}`
+  ].join("\n");
+}
+
+app.post("/outbound/calls", requireAdmin, async (req,res)=>{
+  const { to="", purpose="", context={} } = req.body || {};
+  const T = getTenant(req.body?.tenant);
+  const phone = normalizePhone(to);
+  if (!phone) return res.status(400).json({ ok:false, error:"BAD_PHONE", message:"to must be a US phone number" });
+  if (!OUTBOUND_PURPOSES[purpose]) return res.status(400).json({ ok:false, error:"BAD_PURPOSE", allowed:Object.keys(OUTBOUND_PURPOSES) });
+  if (typeof context !== "object" || Array.isArray(context)) return res.status(400).json({ ok:false, error:"BAD_CONTEXT" });
+  const callerId = T.callerId || TWILIO_CALLER_ID;
+  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !callerId) return res.status(503).json({ ok:false, error:"OUTBOUND_CONFIG_MISSING" });
+
+  const host = process.env.RENDER_EXTERNAL_HOSTNAME || `localhost:${PORT}`;
+  const q = new URLSearchParams({ tenant:T.id, purpose, ctx:Buffer.from(JSON.stringify(context)).toString("base64url") });
+  const params = new URLSearchParams({
+    To: phone, From: callerId,
+    Url: `https://${host}/twiml/outbound?${q}`, Method: "POST",
+    StatusCallback: `https://${host}/outbound/status?${q}`, StatusCallbackMethod: "POST"
+  });
+  try {
+    const { data } = await httpPost(`${TWILIO_API_BASE}/2010-04-01/Accounts/${encodeURIComponent(TWILIO_ACCOUNT_SID)}/Calls.json`, params, {
+      auth:{ username:TWILIO_ACCOUNT_SID, password:TWILIO_AUTH_TOKEN },
+      headers:{ "Content-Type":"application/x-www-form-urlencoded" },
+      timeout:10000
+    });
+    log("[OUTBOUND] ☎️", purpose, "→", phone, "tenant", T.id, data?.sid);
+    res.json({ ok:true, callSid:data?.sid, status:data?.status });
+  } catch(e){
+    log("[OUTBOUND] ❌ Twilio call create failed:", e?.response?.status, e?.response?.data?.message || e?.message);
+    res.status(502).json({ ok:false, status:e.response?.status||0, error:"CALL_CREATE_FAILED", message: e?.response?.data?.message || e?.message });
+  }
+});
+
+function outboundQuery(req){
+  let context = {};
+  try { context = JSON.parse(Buffer.from(String(req.query.ctx || ""), "base64url").toString("utf8")) || {}; } catch {}
+  return { T:getTenant(req.query.tenant), purpose:String(req.query.purpose || ""), context };
+}
+
+app.post("/twiml/outbound", requireTwilio, (req,res)=>{
+  const { T, purpose, context } = outboundQuery(req);
+  const callSid = req.body?.CallSid || "";
+  const callee = req.body?.To || "";
+  const host = process.env.RENDER_EXTERNAL_HOSTNAME || `localhost:${PORT}`;
+  log("[TWIML] outbound", callSid, purpose, "→", callee, "tenant", T.id);
+  res.type("text/xml").send(`
+    <Response>
+      <Connect>
+        <Stream url="${escapeXml(streamUrl(host, callSid))}" track="inbound_track">
+          <Parameter name="from" value="${escapeXml(callee)}"/>
+          <Parameter name="CallSid" value="${escapeXml(callSid)}"/>
+          <Parameter name="callSid" value="${escapeXml(callSid)}"/>
+          <Parameter name="tenant" value="${escapeXml(T.id)}"/>
+          <Parameter name="direction" value="outbound"/>
+          <Parameter name="purpose" value="${escapeXml(purpose)}"/>
+          <Parameter name="context" value="${escapeXml(JSON.stringify(context))}"/>
+        </Stream>
+      </Connect>
+    </Response>
+  `.trim());
+});
+
+// Answered calls are reported by finalizeCall; this covers the ones nobody picked up
+app.post("/outbound/status", requireTwilio, (req,res)=>{
+  const { T, purpose, context } = outboundQuery(req);
+  const status = req.body?.CallStatus || "";
+  log("[OUTBOUND] status", req.body?.CallSid, status);
+  if (["busy", "no-answer", "failed", "canceled"].includes(status)) {
+    const summary = {
+      callSid: req.body?.CallSid || "", tenant: T.id, from: req.body?.To || "", slots: {}, transcript: "",
+      direction: "outbound", purpose, context,
+      outcome: "not_reached", endReason: status.replace("-", "_"), endDetail: "", duration: 0
+    };
+    for (const kind of ["CALL_SUMMARY", "FAQ_LOG"]) if (T.urls[kind]) outboxPost(T, kind, summary);
+    callHistoryWrite({ ...summary, startedAt: new Date().toISOString() });
+  }
+  res.status(204).end();
+});
+
 const server = app.listen(PORT, ()=> log("[INIT]", PORT));
 
+/* ===== SMS: booking confirmations + reply-to-confirm/cancel =====
+   - Bookings, reschedules and cancellations made on a call are texted to the customer (Twilio Messages API)
+   - The latest booking per phone is kept in DATA_DIR/sms-pending.json until it starts, so replies can act on it:
+     C / CONFIRM / YES confirms, CANCEL / X cancels through the normal cancel flow
+   - CANCEL is one of Twilio's default opt-out keywords: remove it under Advanced Opt-Out on the number's
+     Messaging Service, or replying CANCEL also unsubscribes the customer ("X" always works)
+   - Point the number's "A message comes in" webhook at POST /sms
+   - Templates may use {{biz}}, {{name}}, {{title}}, {{date}}, {{time}}, {{location}} */
+const SMS_PENDING_FILE = path.join(DATA_DIR, "sms-pending.json");
+const SMS_CONFIRM_WORDS = ["C", "CONFIRM", "CONFIRMED", "YES", "Y"];
+const SMS_CANCEL_WORDS  = ["CANCEL", "X"];
+const SMS_OPT_OUT_WORDS = ["STOP", "STOPALL", "UNSUBSCRIBE", "END", "QUIT", "START", "UNSTOP", "HELP", "INFO"]; // Twilio answers these itself
+const smsPending = new Map(); // phone -> { tenant, event_id, title, start, location, name, status, sentAt }
+
+function smsLoad(){
+  try {
+    if (!fs.existsSync(SMS_PENDING_FILE)) return;
+    for (const [phone, appt] of Object.entries(JSON.parse(fs.readFileSync(SMS_PENDING_FILE, "utf8")))) smsPending.set(phone, appt);
+    log("[SMS] loaded", smsPending.size, "pending confirmation(s)");
+  } catch(e){
+    log("[SMS] ⚠️ pending file unreadable, starting empty:", e?.message);
+  }
+}
+function smsSave(){
+  for (const [phone, appt] of smsPending) if (Date.parse(appt.start) < Date.now()) smsPending.delete(phone);
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive:true });
+    const tmp = SMS_PENDING_FILE + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(smsPending)));
+    fs.renameSync(tmp, SMS_PENDING_FILE);
+  } catch(e){
+    log.error("[SMS] pending file write failed:", e?.message);
+  }
+}
+
+function smsRender(T, template, appt = {}){
+  const start = appt.start ? new Date(appt.start) : null;
+  const vars = {
+    biz: T.biz,
+    name: appt.name ? ` ${String(appt.name).split(/\s+/)[0]}` : "",
+    title: appt.title || "appointment",
+    date: start ? new Intl.DateTimeFormat("en-US", { timeZone:T.tz, weekday:"long", month:"long", day:"numeric" }).format(start) : "",
+    time: start ? new Intl.DateTimeFormat("en-US", { timeZone:T.tz, hour:"numeric", minute:"2-digit" }).format(start) : "",
+    location: appt.location ? ` at ${appt.location}` : ""
+  };
+  return template.replace(/\{\{(biz|name|title|date|time|location)\}\}/g, (_,k)=> vars[k]);
+}
+
+async function sendSms(T, to, body){
+  const phone = normalizePhone(to);
+  if (!phone) return { ok:false, error:"BAD_PHONE" };
+  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !T.sms.from) return { ok:false, error:"SMS_CONFIG_MISSING" };
+  try {
+    const { data } = await httpPost(`${TWILIO_API_BASE}/2010-04-01/Accounts/${encodeURIComponent(TWILIO_ACCOUNT_SID)}/Messages.json`,
+      new URLSearchParams({ To:phone, From:T.sms.from, Body:body }), {
+        auth:{ username:TWILIO_ACCOUNT_SID, password:TWILIO_AUTH_TOKEN },
+        headers:{ "Content-Type":"application/x-www-form-urlencoded" },
+        timeout:10000
+      });
+    log("[SMS] ✉️ sent", phone, data?.sid);
+    return { ok:true, sid:data?.sid };
+  } catch(e){
+    log("[SMS] ❌ send failed:", phone, e?.response?.status, e?.response?.data?.message || e?.message);
+    return { ok:false, status:e.response?.status||0, error:"SMS_SEND_FAILED", message: e?.response?.data?.message || e?.message };
+  }
+}
+
+// Called by the turn runner after the agent's own booking tools succeed (not for their internal sub-steps)
+async function smsAfterTool(ws, name, args, result){
+  const T = tenantOf(ws);
+  if (!T.sms.enabled || !result?.ok) return;
+  const phone = normalizePhone(args?.phone || ws._slots?.phone || "") || normalizePhone(ws._from || "");
+  if (!phone) return;
+
+  if (name === "cancel_appointment") {
+    const ev = ws._events.get(String(args.event_id)) || {};
+    const span = busyInterval(ev, T.tz);
+    const appt = { title: result.title || ev.title, start: span ? new Date(span.start).toISOString() : "", location: ev.location || "" };
+    if (smsPending.get(phone)?.event_id === String(args.event_id)) { smsPending.delete(phone); smsSave(); }
+    await sendSms(T, phone, smsRender(T, T.sms.templates.cancelled, appt));
+    return;
+  }
+
+  const start = parseWhen(result.startTime, T.tz) || parseWhen(args.startISO || args.newStartISO, T.tz);
+  const appt = {
+    tenant: T.id, event_id: String(result.appointmentId || ""), title: result.title || "",
+    start: start ? start.toISOString() : "", location: args.location ?? ws._slots?.location ?? "",
+    name: args.name || ws._slots?.name || "", status: "sent", sentAt: new Date().toISOString()
+  };
+  if (appt.event_id && appt.start) { smsPending.set(phone, appt); smsSave(); }
+  await sendSms(T, phone, smsRender(T, name === "reschedule_appointment" ? T.sms.templates.rescheduled : T.sms.templates.booked, appt));
+}
+
+app.post("/sms", requireTwilio, async (req,res)=>{
+  const { From="", To="", Body="", MessageSid="" } = req.body || {};
+  const phone = normalizePhone(From);
+  const word = String(Body).trim().toUpperCase().replace(/[^A-Z]/g, "");
+  const reply = text => res.type("text/xml").send(text ? `<Response><Message>${escapeXml(text)}</Message></Response>` : "<Response/>");
+  log("[SMS] ⬅️", MessageSid, phone);
+  log.payload("[SMS] body", { from:phone, body:String(Body) });
+  if (SMS_OPT_OUT_WORDS.includes(word)) return reply("");
+
+  const appt = smsPending.get(phone);
+  if (!appt) return reply(smsRender(tenantForNumber(To), tenantForNumber(To).sms.templates.noAppointmentReply));
+  const T = getTenant(appt.tenant);
+  const report = action => T.urls.SMS_LOG && outboxPost(T, "SMS_LOG", { tenant:T.id, phone, event_id:appt.event_id, action, body:String(Body), at:new Date().toISOString() });
+
+  if (SMS_CONFIRM_WORDS.includes(word)) {
+    appt.status = "confirmed";
+    smsSave();
+    report("confirmed");
+    log("[SMS] ✅ confirmed", appt.event_id);
+    return reply(smsRender(T, T.sms.templates.confirmReply, appt));
+  }
+  if (SMS_CANCEL_WORDS.includes(word)) {
+    const r = await Tools.cancel_appointment({ event_id: appt.event_id }, { _tenant:T });
+    if (!r.ok) return reply(smsRender(T, T.sms.templates.cancelFailedReply, appt));
+    smsPending.delete(phone);
+    smsSave();
+    report("cancelled");
+    log("[SMS] 🗑️ cancelled", appt.event_id);
+    return reply(smsRender(T, T.sms.templates.cancelReply, appt));
+  }
+  reply(smsRender(T, T.sms.templates.unknownReply, appt));
+});
+
+smsLoad();
+
+/* ===== Live call monitoring =====
+   - GET /admin/calls                      active calls from the per-socket ws._* state
+   - GET /admin/calls/:callSid             one call, with its recent events
+   - GET /admin/calls/events               SSE: every call's events as they happen
+   - GET /admin/calls/:callSid/events      SSE: one call (recent events replayed first; stream ends with the call)
+   - POST /admin/calls/feed-token { callSid? } → { token, expiresIn }: for EventSource, which can't send the Bearer
+     header; open the feed with ?token= before it expires, and mint a new one to reconnect
+   - Events: start, caller, agent, tool_call, tool_result, barge_in, end */
+const MONITOR_BACKLOG = 200; // events kept per call for late joiners
+const monitorFeeds = new Set(); // { res, callSid } — callSid "" = all calls
+let monitorSeq = 0;
+
+function callEvent(ws, type, data = {}){
+  if (!ws._callSid) return;
+  const ev = { id: ++monitorSeq, type, callSid: ws._callSid, at: new Date().toISOString(), ...data };
+  ws._feed.push(ev);
+  if (ws._feed.length > MONITOR_BACKLOG) ws._feed.shift();
+  for (const f of monitorFeeds) {
+    if (f.callSid && f.callSid !== ws._callSid) continue;
+    sseSend(f.res, ev);
+    if (type === "end" && f.callSid) f.res.end();
+  }
+}
+function sseSend(res, ev){
+  res.write(`id: ${ev.id}\nevent: ${ev.type}\ndata: ${JSON.stringify(ev)}\n\n`);
+}
+
+function activeCalls(){
+  return [...wss.clients].filter(ws => ws._startTime && !ws._finalized);
+}
+function callInfo(ws){
+  return {
+    callSid: ws._callSid,
+    tenant: tenantOf(ws).id,
+    from: ws._from,
+    direction: ws._outbound ? "outbound" : "inbound",
+    purpose: ws._outbound?.purpose,
+    afterHours: isAfterHoursCall(ws),
+    startedAt: ws._startTime.toISOString(),
+    durationSec: Math.floor((Date.now() - ws._startTime.getTime()) / 1000),
+    speaking: isSpeaking(ws),
+    thinking: ws._llmBusy,
+    slots: ws._slots,
+    lastTool: ws._lastTool
+  };
+}
+
+app.get("/admin/calls", requireAdmin, (_req,res)=>{
+  const calls = activeCalls().map(callInfo);
+  res.json({ ok:true, count:calls.length, calls });
+});
+app.post("/admin/calls/feed-token", requireAdmin, (req,res)=>{
+  const callSid = String(req.body?.callSid || "");
+  if (callSid.includes(".")) return res.status(400).json({ ok:false, error:"BAD_CALL_SID" });
+  res.json({ ok:true, token: mintFeedToken(callSid), expiresIn: FEED_TOKEN_TTL_S });
+});
+app.get("/admin/calls/events", requireAdminFeed, (req,res)=> openFeed(req, res, ""));
+app.get("/admin/calls/:callSid", requireAdmin, (req,res)=>{
+  const ws = activeCalls().find(w => w._callSid === req.params.callSid);
+  if (!ws) return res.status(404).json({ ok:false, error:"NOT_ACTIVE" });
+  res.json({ ok:true, call:{ ...callInfo(ws), events: ws._feed } });
+});
+app.get("/admin/calls/:callSid/events", requireAdminFeed, (req,res)=>{
+  const ws = activeCalls().find(w => w._callSid === req.params.callSid);
+  if (!ws) return res.status(404).json({ ok:false, error:"NOT_ACTIVE" });
+  openFeed(req, res, ws._callSid, ws._feed);
+});
+
+function openFeed(req, res, callSid, backlog = []){
+  res.set({ "Content-Type":"text/event-stream", "Cache-Control":"no-cache", "Connection":"keep-alive", "X-Accel-Buffering":"no" });
+  res.flushHeaders();
+  for (const ev of backlog) sseSend(res, ev);
+  const feed = { res, callSid };
+  monitorFeeds.add(feed);
+  const ping = setInterval(()=> res.write(": ping\n\n"), 15000); // keeps proxies from idling the stream out
+  const done = ()=>{ clearInterval(ping); monitorFeeds.delete(feed); };
+  req.on("close", done);
+  res.on("finish", done);
+  log("[MONITOR] feed opened", callSid || "(all calls)", "·", monitorFeeds.size, "open");
+}
+
 /* ===== Singleton WS ===== */
 let wss = globalThis.__wss_singleton;
 if (!wss) {
-  wss = new WebSocketServer({ server, perMessageDeflate:false });
+  wss = new WebSocketServer({ server, perMessageDeflate:false, verifyClient: authorizeStream });
   globalThis.__wss_singleton = wss;
 }
 
-/* ===== Deepgram: single connection per call ===== */
-function newDeepgram(onFinal){
-  const url = "wss://api.deepgram.com/v1/listen?encoding=mulaw&sample_rate=8000&channels=1&model=nova-2-phonecall&interim_results=true&smart_format=true";
-  const dg = new WebSocket(url, { headers:{ Authorization:`Token ${DEEPGRAM_API_KEY}` }, perMessageDeflate:false });
-  dg.on("open", ()=> log("[DG] open"));
-  dg.on("close", ()=> log("[DG] close"));
-  dg.on("error", e=> log("[DG] error:", e?.message||e));
-  dg.on("message", buf=>{
-    try {
-      const ev = JSON.parse(buf.toString());
-      const t = ev?.channel?.alternatives?.[0]?.transcript?.trim();
-      if (t && (ev.is_final || ev.speech_final)) onFinal(t);
-    } catch {}
-  });
-  return dg;
+/* ===== Providers: STT / TTS / LLM chosen by config =====
+   - STT:  open({ onFinal, onSpeech }) → { send(ulawChunk), close() }, one connection per call;
+           onSpeech fires when the caller starts talking (VAD or any transcript) — used for barge-in
+   - TTS:  stream(text, { voice, signal }) → readable stream of raw μ-law 8kHz mono, what Twilio plays
+   - LLM:  chat(body) → OpenAI chat.completions response shape ({ choices, usage });
+           optional chatStream(body, onText) resolves to the same shape, calling onText with each content delta
+   - requires: { ENV_NAME: value } the provider can't work without; checked at startup and by /readyz
+   - Add a provider by adding an entry; STT_PROVIDER / TTS_PROVIDER / LLM_PROVIDER pick one by name */
+const STT_PROVIDERS = {
+  deepgram: {
+    requires: { DEEPGRAM_API_KEY },
+    open({ onFinal, onSpeech }){
+      const params = new URLSearchParams({
+        encoding:"mulaw", sample_rate:"8000", channels:"1", model:DEEPGRAM_MODEL,
+        interim_results:"true", smart_format:"true", vad_events:"true",
+        ...(DEEPGRAM_LANGUAGE ? { language:DEEPGRAM_LANGUAGE } : {})
+      });
+      const dg = new WebSocket(`${DEEPGRAM_LISTEN_URL}?${params}`, { headers:{ Authorization:`Token ${DEEPGRAM_API_KEY}` }, perMessageDeflate:false });
+      dg.on("open", ()=>{ log("[DG] open"); inc(M.sttConnections, { provider:"deepgram" }); });
+      dg.on("close", ()=> log("[DG] close"));
+      dg.on("error", e=>{ log.error("[DG] error:", e?.message||e); inc(M.sttErrors, { provider:"deepgram" }); });
+      dg.on("message", buf=>{
+        try {
+          const ev = JSON.parse(buf.toString());
+          if (ev?.type === "SpeechStarted") { onSpeech?.(); return; }
+          const t = ev?.channel?.alternatives?.[0]?.transcript?.trim();
+          if (!t) return;
+          onSpeech?.();
+          if (ev.is_final || ev.speech_final) { inc(M.sttFinals, { provider:"deepgram" }); onFinal(t); }
+        } catch {}
+      });
+      return {
+        send(chunk){ if (dg.readyState === WebSocket.OPEN) dg.send(chunk); },
+        close(){ dg.close(); }
+      };
+    }
+  }
+};
+
+const TTS_PROVIDERS = {
+  elevenlabs: {
+    requires: { ELEVENLABS_API_KEY },
+    async stream(text, { voice, signal }){
+      const q = new URLSearchParams({ optimize_streaming_latency:ELEVENLABS_LATENCY, output_format:"ulaw_8000" });
+      const resp = await httpPost(`${ELEVENLABS_BASE_URL}/text-to-speech/${encodeURIComponent(voice)}/stream?${q}`,
+        { text, ...(ELEVENLABS_MODEL ? { model_id:ELEVENLABS_MODEL } : {}) }, {
+          headers:{ "xi-api-key":ELEVENLABS_API_KEY, accept:"*/*" },
+          responseType:"stream", timeout:20000, signal
+        });
+      return resp.data;
+    }
+  },
+  // Deepgram Aura: voice is the model name, e.g. aura-asteria-en
+  deepgram: {
+    requires: { DEEPGRAM_API_KEY },
+    async stream(text, { voice, signal }){
+      const q = new URLSearchParams({ model:voice || "aura-asteria-en", encoding:"mulaw", sample_rate:"8000", container:"none" });
+      const resp = await httpPost(`${DEEPGRAM_SPEAK_URL}?${q}`, { text }, {
+        headers:{ Authorization:`Token ${DEEPGRAM_API_KEY}` },
+        responseType:"stream", timeout:20000, signal
+      });
+      return resp.data;
+    }
+  }
+};
+
+const LLM_PROVIDERS = {
+  openai: {
+    requires: { LLM_API_KEY },
+    async chat(body){
+      const { data } = await httpPost(`${OPENAI_BASE_URL}/chat/completions`, body, {
+        headers:{ Authorization:`Bearer ${LLM_API_KEY}` }, timeout:LLM_TIMEOUT_MS
+      });
+      return data;
+    },
+    // SSE deltas reassembled into one message; tool calls arrive in pieces keyed by index
+    async chatStream(body, onText){
+      const resp = await httpPost(`${OPENAI_BASE_URL}/chat/completions`, { ...body, stream:true, stream_options:{ include_usage:true } }, {
+        headers:{ Authorization:`Bearer ${LLM_API_KEY}` }, timeout:LLM_TIMEOUT_MS, responseType:"stream"
+      });
+      const message = { role:"assistant", content:"" };
+      const calls = [];
+      const decoder = new TextDecoder();
+      let buf = "", usage = null, finish = null;
+      for await (const chunk of resp.data) {
+        buf += decoder.decode(chunk, { stream:true });
+        let nl;
+        while ((nl = buf.indexOf("\n")) >= 0) {
+          const line = buf.slice(0, nl).trim();
+          buf = buf.slice(nl + 1);
+          if (!line.startsWith("data:") || line === "data: [DONE]") continue;
+          let ev;
+          try { ev = JSON.parse(line.slice(5)); } catch { continue; }
+          if (ev.usage) usage = ev.usage;
+          const ch = ev.choices?.[0];
+          if (!ch) continue;
+          if (ch.delta?.content) { message.content += ch.delta.content; onText(ch.delta.content); }
+          for (const d of ch.delta?.tool_calls || []) {
+            const tc = calls[d.index ?? calls.length] ||= { id:"", type:"function", function:{ name:"", arguments:"" } };
+            if (d.id) tc.id = d.id;
+            if (d.function?.name) tc.function.name += d.function.name;
+            if (d.function?.arguments) tc.function.arguments += d.function.arguments;
+          }
+          if (ch.finish_reason) finish = ch.finish_reason;
+        }
+      }
+      if (!message.content) message.content = null;
+      if (calls.length) message.tool_calls = calls.filter(Boolean);
+      return { choices:[{ index:0, message, finish_reason:finish }], usage };
+    }
+  }
+};
+
+function pickProvider(stage, registry, name){
+  if (!registry[name]) throw new Error(`${stage}_PROVIDER "${name}" is not one of: ${Object.keys(registry).join(", ")}`);
+  log(`[${stage}] provider:`, name);
+  return registry[name];
+}
+const stt = pickProvider("STT", STT_PROVIDERS, STT_PROVIDER);
+const tts = pickProvider("TTS", TTS_PROVIDERS, TTS_PROVIDER);
+const llm = pickProvider("LLM", LLM_PROVIDERS, LLM_PROVIDER);
+
+/* ===== TTS audio cache: fixed phrases skip the TTS round trip =====
+   - Keyed by provider + voice + normalized text (case, spacing and punctuation ignored)
+   - Memory + disk (TTS_CACHE_DIR/<key>.ulaw + index.json); only TTS_CACHE_PHRASES are ever stored
+   - Replies are spoken sentence by sentence, so list sentences rather than whole lines; {{biz}} is filled per tenant
+   - Warmed at startup and after a tenants reload, for every tenant's voice
+   - Admin: GET /admin/tts-cache, DELETE /admin/tts-cache/:key, DELETE /admin/tts-cache[?voice=], POST /admin/tts-cache/warm */
+const TTS_CACHE_PHRASES = jsonEnv("TTS_CACHE_PHRASES", [
+  "Thanks for calling {{biz}}!", "How can I help you today?",
+  "Thanks for calling {{biz}}.", "Have a great day!",
+  "Let me check that time for you.", "Let me check that time.",
+  "Anything else?", "One moment."
+]);
+const TTS_CACHE_INDEX = path.join(TTS_CACHE_DIR, "index.json");
+const ttsCache = new Map();       // key -> { key, provider, voice, text, bytes, hits, createdAt, audio }
+const ttsCacheWanted = new Set(); // keys of the configured phrases for the current tenant voices
+
+function ttsNormalize(text){
+  return String(text).toLowerCase().replace(/[‘’]/g, "'").replace(/[^a-z0-9' ]+/g, " ").replace(/\s+/g, " ").trim();
+}
+function ttsCacheKey(voice, text){
+  return crypto.createHash("sha1").update(`${TTS_PROVIDER}\n${voice}\n${ttsNormalize(text)}`).digest("hex").slice(0, 20);
 }
 
-/* ===== ElevenLabs TTS: serialized to avoid overlap ===== */
+function ttsCacheSaveIndex(){
+  try {
+    fs.mkdirSync(TTS_CACHE_DIR, { recursive:true });
+    const tmp = TTS_CACHE_INDEX + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify([...ttsCache.values()].map(({ audio, ...meta }) => meta)));
+    fs.renameSync(tmp, TTS_CACHE_INDEX);
+  } catch(e){
+    log.warn("[TTS-CACHE] index write failed:", e?.message);
+  }
+}
+function ttsCacheLoad(){
+  if (!TTS_CACHE || !fs.existsSync(TTS_CACHE_INDEX)) return;
+  try {
+    for (const meta of JSON.parse(fs.readFileSync(TTS_CACHE_INDEX, "utf8"))) {
+      const file = path.join(TTS_CACHE_DIR, `${meta.key}.ulaw`);
+      if (fs.existsSync(file)) ttsCache.set(meta.key, { ...meta, audio: fs.readFileSync(file) });
+    }
+    log("[TTS-CACHE] loaded", ttsCache.size, "phrase(s)");
+  } catch(e){
+    log("[TTS-CACHE] ⚠️ cache unreadable, starting empty:", e?.message);
+  }
+}
+function ttsCachePut(voice, text, audio){
+  const key = ttsCacheKey(voice, text);
+  ttsCache.set(key, { key, provider:TTS_PROVIDER, voice, text, bytes:audio.length, hits:0, createdAt:new Date().toISOString(), audio });
+  try {
+    fs.mkdirSync(TTS_CACHE_DIR, { recursive:true });
+    fs.writeFileSync(path.join(TTS_CACHE_DIR, `${key}.ulaw`), audio);
+  } catch(e){
+    log.warn("[TTS-CACHE] write failed:", e?.message);
+  }
+  ttsCacheSaveIndex();
+}
+function ttsCacheDelete(key){
+  if (!ttsCache.delete(key)) return false;
+  try { fs.rmSync(path.join(TTS_CACHE_DIR, `${key}.ulaw`), { force:true }); } catch {}
+  return true;
+}
+function ttsCacheGet(voice, text){
+  if (!TTS_CACHE) return null;
+  const hit = ttsCache.get(ttsCacheKey(voice, text));
+  if (hit) hit.hits++;
+  return hit?.audio || null;
+}
+function ttsCacheWants(voice, text){
+  return TTS_CACHE && ttsCacheWanted.has(ttsCacheKey(voice, text));
+}
+
+async function ttsSynthesize(text, voice){
+  const chunks = [];
+  for await (const c of await tts.stream(cleanTTS(text), { voice })) chunks.push(Buffer.from(c));
+  return Buffer.concat(chunks);
+}
+
+// Fills the phrase list in for every tenant voice and synthesizes what's missing, one at a time
+async function ttsCacheWarm(){
+  if (!TTS_CACHE) return { warmed:0, failed:0 };
+  ttsCacheWanted.clear();
+  const todo = [];
+  for (const t of tenants.byId.values()) {
+    for (const phrase of TTS_CACHE_PHRASES) {
+      const text = phrase.replace(/\{\{biz\}\}/g, t.biz);
+      const key = ttsCacheKey(t.voiceId, text);
+      if (ttsCacheWanted.has(key)) continue;
+      ttsCacheWanted.add(key);
+      if (!ttsCache.has(key)) todo.push({ voice:t.voiceId, text });
+    }
+  }
+  let warmed = 0, failed = 0;
+  for (const { voice, text } of todo) {
+    try { ttsCachePut(voice, text, await ttsSynthesize(text, voice)); warmed++; }
+    catch(e){ failed++; log("[TTS-CACHE] ⚠️ warm failed:", JSON.stringify(text), e?.response?.status || "", e?.message); }
+  }
+  if (todo.length) log("[TTS-CACHE] warm:", warmed, "synthesized,", failed, "failed,", ttsCache.size, "cached");
+  return { warmed, failed };
+}
+
+app.get("/admin/tts-cache", requireAdmin, (_req,res)=>{
+  const items = [...ttsCache.values()].map(({ audio, ...meta }) => ({ ...meta, configured: ttsCacheWanted.has(meta.key) }));
+  res.json({ ok:true, enabled:TTS_CACHE, count:items.length, items });
+});
+app.post("/admin/tts-cache/warm", requireAdmin, async (_req,res)=>{
+  res.json({ ok:true, ...(await ttsCacheWarm()) });
+});
+app.delete("/admin/tts-cache/:key", requireAdmin, (req,res)=>{
+  if (!ttsCacheDelete(req.params.key)) return res.status(404).json({ ok:false, error:"NOT_FOUND" });
+  ttsCacheSaveIndex();
+  res.json({ ok:true });
+});
+app.delete("/admin/tts-cache", requireAdmin, (req,res)=>{
+  const voice = req.query.voice || "";
+  let deleted = 0;
+  for (const e of [...ttsCache.values()]) if (!voice || e.voice === voice) deleted += ttsCacheDelete(e.key) ? 1 : 0;
+  ttsCacheSaveIndex();
+  res.json({ ok:true, deleted });
+});
+
+ttsCacheLoad();
+ttsCacheWarm();
+
+/* ===== TTS playback: serialized to avoid overlap =====
+   - ws._ttsGen bumps on barge-in; anything queued under an older generation is dropped
+   - A Twilio "mark" follows each utterance; Twilio echoes it back once playback reaches it,
+     so ws._marks tells us the caller is still hearing audio after the HTTP stream ended */
 function cleanTTS(s=""){
   return String(s)
     .replace(/<[\s\S]*?>/g,"")
@@ -139,70 +1442,176 @@ function cleanTTS(s=""){
     .replace(/\s{2,}/g," ")
     .trim();
 }
+function chunksOf(buf, size){
+  const out = [];
+  for (let i = 0; i < buf.length; i += size) out.push(buf.subarray(i, i + size));
+  return out;
+}
 async function speakULaw(ws, text){
   if (!text || !ws._streamSid) return;
   const clean = cleanTTS(text);
+  const gen = ws._ttsGen;
   ws._ttsQ = ws._ttsQ || Promise.resolve();
   ws._ttsQ = ws._ttsQ.then(async ()=>{
-    const url = `https://api.elevenlabs.io/v1/text-to-speech/${ELEVENLABS_VOICE_ID}/stream?optimize_streaming_latency=3&output_format=ulaw_8000`;
-    const resp = await httpPost(url, { text: clean }, {
-      headers:{ "xi-api-key":ELEVENLABS_API_KEY, accept:"*/*" },
-      responseType:"stream", timeout:20000
-    });
-    await new Promise((resolve,reject)=>{
-      resp.data.on("data", chunk=>{
-        if (ws.readyState !== WebSocket.OPEN) return;
-        ws.send(JSON.stringify({
-          event:"media",
-          streamSid: ws._streamSid,
-          media:{ payload: Buffer.from(chunk).toString("base64") }
-        }));
+    if (gen !== ws._ttsGen) return;
+    const ctrl = new AbortController();
+    ws._ttsAbort = ctrl;
+    try {
+      const voice = tenantOf(ws).voiceId;
+      const cached = ttsCacheGet(voice, clean);
+      if (cached) log("[TTS-CACHE] hit:", clean.slice(0, 60));
+      const ttfb = startTimer();
+      if (!cached) inc(M.ttsChars, { provider:TTS_PROVIDER }, clean.length);
+      const audio = cached ? Readable.from(chunksOf(cached, 3200)) : await tts.stream(clean, { voice, signal: ctrl.signal });
+      let firstByte = true;
+      const keep = !cached && ttsCacheWants(voice, clean) ? [] : null; // configured phrase that missed warm-up
+      let ended = false; // "close" without "end" means the stream was cut short
+      ws._ttsStreaming = true;
+      await new Promise((resolve,reject)=>{
+        audio.on("data", chunk=>{
+          if (firstByte) { firstByte = false; observe(M.ttsFirstByte, { provider:TTS_PROVIDER, cached:!!cached }, ttfb()); }
+          keep?.push(Buffer.from(chunk));
+          if (gen !== ws._ttsGen || ws.readyState !== WebSocket.OPEN) return;
+          if (ws._turnTiming && !ws._turnTiming.firstAudio) logTurnLatency(ws._turnTiming);
+          ws.send(JSON.stringify({
+            event:"media",
+            streamSid: ws._streamSid,
+            media:{ payload: Buffer.from(chunk).toString("base64") }
+          }));
+        });
+        audio.on("end", ()=>{ ended = true; resolve(); });
+        audio.on("close", resolve);
+        audio.on("error", reject);
       });
-      resp.data.on("end", resolve);
-      resp.data.on("error", reject);
-    });
+      if (keep && ended && gen === ws._ttsGen) ttsCachePut(voice, clean, Buffer.concat(keep));
+      if (gen === ws._ttsGen && ws.readyState === WebSocket.OPEN) {
+        const name = `tts-${gen}-${++ws._markSeq}`;
+        ws._marks.add(name);
+        ws.send(JSON.stringify({ event:"mark", streamSid: ws._streamSid, mark:{ name } }));
+      }
+    } finally {
+      if (ws._ttsAbort === ctrl) { ws._ttsAbort = null; ws._ttsStreaming = false; }
+    }
   }).catch(()=>{});
   return ws._ttsQ;
 }
 
-/* ===== LLM with tools - EXACT SCHEMAS MATCHING PROMPT ===== */
+/* ===== Barge-in: caller started talking over the agent ===== */
+// Sent to the model after an interrupted reply (see conversationHistory); the stored reply itself stays as spoken
+const CUT_OFF_NOTE = "Your previous reply was cut off: the caller interrupted it and may not have heard all of it.";
+function isSpeaking(ws){
+  return ws._ttsStreaming || ws._marks.size > 0;
+}
+function bargeIn(ws){
+  if (!isSpeaking(ws)) return;
+  ws._ttsGen++;
+  ws._ttsAbort?.abort();
+  ws._ttsAbort = null;
+  ws._ttsStreaming = false;
+  ws._ttsQ = Promise.resolve();
+  ws._marks.clear();
+  if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ event:"clear", streamSid: ws._streamSid }));
+
+  // Let the model know its last reply didn't fully land
+  const last = [...ws._mem].reverse().find(m => m.role === "assistant" && m.content);
+  if (last) last.interrupted = true;
+  log("[BARGE-IN]", ws._callSid);
+  callEvent(ws, "barge_in");
+  inc(M.bargeIns, { tenant: tenantOf(ws).id });
+}
+
+/* ===== Streaming speech: sentences go to TTS as soon as they're complete =====
+   - Splits on . ! ? … or a newline followed by whitespace, so a trailing fragment waits for more text
+   - Common abbreviations and initials ("Dr.", "a.m.", "J.") don't end a sentence
+   - Per-turn latency: STT final → LLM request → first token → first audio byte sent to Twilio */
+const SENTENCE_END = /[.!?…]+["')\]]*\s+|\n+/g;
+const NOT_SENTENCE_END = /(?:\b(?:mr|mrs|ms|dr|st|jr|sr|vs|etc|no|approx|a\.m|p\.m|e\.g|i\.e)|\b[a-z])\.$/i;
+
+function sentenceSplitter(onSentence){
+  let buf = "";
+  return {
+    push(delta){
+      buf += delta;
+      let cut = 0, m;
+      SENTENCE_END.lastIndex = 0;
+      while ((m = SENTENCE_END.exec(buf))) {
+        const end = m.index + m[0].length;
+        if (NOT_SENTENCE_END.test(buf.slice(cut, m.index + m[0].trimEnd().length))) continue;
+        const sentence = buf.slice(cut, end).trim();
+        if (sentence) onSentence(sentence);
+        cut = end;
+      }
+      buf = buf.slice(cut);
+    },
+    flush(){
+      const rest = buf.trim();
+      buf = "";
+      if (rest) onSentence(rest);
+    }
+  };
+}
+
+function logTurnLatency(t){
+  t.firstAudio = Date.now();
+  const ms = at => at ? `${at - t.sttFinal}ms` : "-";
+  log("[LATENCY]", `stt→llm ${ms(t.llmStart)}`, `stt→first token ${ms(t.firstToken)}`, `stt→first audio ${ms(t.firstAudio)}`, ...(t.fromStt ? [] : ["(greeting: timed from turn start)"]));
+}
+
+/* ===== LLM with tools - EXACT SCHEMAS MATCHING PROMPT =====
+   Parameters are enforced before a tool runs (see "Tool argument validation"), so constraints belong here */
+const E164_PATTERN = "^\\+[1-9]\\d{7,14}$";
 const toolSchema = [
   { type:"function", function:{ name:"read_availability",
-    description:"Check if a time slot is available. REQUIRED: startISO and endISO in ISO format (e.g., '2025-10-16T14:00:00'). Returns: {ok, available, conflicts}",
+    description:"Check if a time slot is available. REQUIRED: startISO in ISO format (e.g., '2025-10-16T14:00:00'). OPTIONAL: endISO. Returns: {ok, available, conflicts, startISO, endISO}",
+    parameters:{ type:"object", properties:{
+      startISO:{type:"string", minLength:1, description:"REQUIRED: ISO timestamp for start (e.g., '2025-10-16T14:00:00')"},
+      endISO:{type:"string", description:"OPTIONAL: ISO timestamp for end (e.g., '2025-10-16T15:00:00'); defaults to the service's usual length"}
+    }, required:["startISO"] } } },
+  { type:"function", function:{ name:"find_open_slots",
+    description:"Find the next truly open appointment windows inside business hours. Use when a requested time is taken or the caller asks what's available. OPTIONAL: fromISO, toISO, durationMinutes (default: the service's usual length), count (default 3). Returns: {ok, slots[{startISO, endISO, spoken}]}",
     parameters:{ type:"object", properties:{
-      startISO:{type:"string", description:"REQUIRED: ISO timestamp for start (e.g., '2025-10-16T14:00:00')"},
-      endISO:{type:"string", description:"REQUIRED: ISO timestamp for end (e.g., '2025-10-16T15:00:00')"}
-    }, required:["startISO","endISO"] } } },
+      fromISO:{type:"string", description:"OPTIONAL: Search from this ISO timestamp (default now)"},
+      toISO:{type:"string", description:"OPTIONAL: Search until this ISO timestamp (default 7 days after fromISO)"},
+      durationMinutes:{type:"number", minimum:SLOT_MIN_MINUTES, maximum:SLOT_MAX_MINUTES, description:"OPTIONAL: Appointment length in minutes (default: the service's usual length)"},
+      count:{type:"number", minimum:1, maximum:10, description:"OPTIONAL: How many options to return (default 3)"}
+    }, required:[] } } },
   { type:"function", function:{ name:"book_appointment",
-    description:"Create appointment. REQUIRED: name, phone (+1XXXXXXXXXX), service, startISO, endISO, meeting_type ('in-person'/'virtual'), location, title ('{Type} — {Name}'). Returns: {ok, appointmentId, title, startTime, endTime}",
+    description:"Create appointment. REQUIRED: name, phone (+1XXXXXXXXXX), service, startISO, meeting_type ('in-person'/'virtual'), location, title ('{Type} — {Name}'). OPTIONAL: endISO, notes. Returns: {ok, appointmentId, title, startTime, endTime}",
     parameters:{ type:"object", properties:{
-      name:{type:"string", description:"REQUIRED: Caller's full name"},
-      phone:{type:"string", description:"REQUIRED: Normalized phone +1XXXXXXXXXX"},
-      service:{type:"string", description:"REQUIRED: Service type (buyer/seller/investor)"},
-      startISO:{type:"string", description:"REQUIRED: ISO timestamp start"},
-      endISO:{type:"string", description:"REQUIRED: ISO timestamp end"},
-      meeting_type:{type:"string", description:"REQUIRED: 'in-person' or 'virtual'"},
+      name:{type:"string", minLength:1, description:"REQUIRED: Caller's full name"},
+      phone:{type:"string", pattern:E164_PATTERN, description:"REQUIRED: Normalized phone +1XXXXXXXXXX"},
+      service:{type:"string", minLength:1, description:"REQUIRED: Service type (buyer/seller/investor)"},
+      startISO:{type:"string", minLength:1, description:"REQUIRED: ISO timestamp start"},
+      endISO:{type:"string", description:"OPTIONAL: ISO timestamp end; defaults to the service's usual length"},
+      meeting_type:{type:"string", enum:["in-person","virtual"], description:"REQUIRED: 'in-person' or 'virtual'"},
       location:{type:"string", description:"REQUIRED: Address if in-person, '' if virtual"},
-      title:{type:"string", description:"REQUIRED: Format '{Type} — {Name}'"},
+      title:{type:"string", minLength:1, description:"REQUIRED: Format '{Type} — {Name}'"},
       notes:{type:"string", description:"OPTIONAL: Appointment details"}
-    }, required:["name","phone","service","startISO","endISO","meeting_type","location","title"] } } },
+    }, required:["name","phone","service","startISO","meeting_type","location","title"] } } },
   { type:"function", function:{ name:"cancel_appointment",
     description:"Cancel appointment. REQUIRED: event_id from find_customer_events. Returns: {ok, cancelled, appointmentId, title}",
     parameters:{ type:"object", properties:{
-      event_id:{type:"string", description:"REQUIRED: Event ID from find_customer_events"}
+      event_id:{type:"string", minLength:1, description:"REQUIRED: Event ID from find_customer_events"}
     }, required:["event_id"] } } },
+  { type:"function", function:{ name:"reschedule_appointment",
+    description:"Move an existing appointment to a new time in one step (checks availability, books new, cancels old, rolls back on failure). REQUIRED: event_id from find_customer_events, newStartISO. OPTIONAL: newEndISO. Returns: {ok, rescheduled, appointmentId, startTime, endTime} or {ok:false, error, stage, original}",
+    parameters:{ type:"object", properties:{
+      event_id:{type:"string", minLength:1, description:"REQUIRED: Event ID from find_customer_events"},
+      newStartISO:{type:"string", minLength:1, description:"REQUIRED: ISO timestamp for the new start"},
+      newEndISO:{type:"string", description:"OPTIONAL: ISO timestamp for the new end; defaults to the old appointment's length"}
+    }, required:["event_id","newStartISO"] } } },
   { type:"function", function:{ name:"find_customer_events",
     description:"Find appointments for customer. REQUIRED: name, phone (+1XXXXXXXXXX), days (use 30). Returns: {ok, events[{event_id, title, start, end, location}]}",
     parameters:{ type:"object", properties:{
       name:{type:"string", description:"REQUIRED: Customer's name"},
-      phone:{type:"string", description:"REQUIRED: Normalized phone +1XXXXXXXXXX"},
-      days:{type:"number", description:"REQUIRED: Days to search (use 30)"}
+      phone:{type:"string", pattern:E164_PATTERN, description:"REQUIRED: Normalized phone +1XXXXXXXXXX"},
+      days:{type:"number", minimum:1, maximum:365, description:"REQUIRED: Days to search (use 30)"}
     }, required:["name","phone","days"] } } },
   { type:"function", function:{ name:"lead_upsert",
     description:"Create/update lead. REQUIRED: name, phone (+1XXXXXXXXXX). OPTIONAL: intent, notes. Returns: {ok, leadId, name, phone}",
     parameters:{ type:"object", properties:{
-      name:{type:"string", description:"REQUIRED: Lead's name"},
-      phone:{type:"string", description:"REQUIRED: Normalized phone +1XXXXXXXXXX"},
+      name:{type:"string", minLength:1, description:"REQUIRED: Lead's name"},
+      phone:{type:"string", pattern:E164_PATTERN, description:"REQUIRED: Normalized phone +1XXXXXXXXXX"},
       intent:{type:"string", description:"OPTIONAL: What they're interested in"},
       notes:{type:"string", description:"OPTIONAL: Call details"}
     }, required:["name","phone"] } } },
@@ -226,11 +1635,122 @@ const toolSchema = [
     }, required:[] } } }
 ];
 
-async function openaiChat(messages, opts={}, wsContext=null){
-  const body = { model:"gpt-4o-mini", temperature:0.3, messages, tools:toolSchema, tool_choice:"auto", ...opts };
-  const { data } = await httpPost("https://api.openai.com/v1/chat/completions", body, {
-    headers:{ Authorization:`Bearer ${OPENAI_API_KEY}` }, timeout:30000
-  });
+// After-hours calls without a transfer option never see the transfer tool; nor do calls to a tenant
+// missing a tool's config (TOOLS_PRUNE)
+function toolsFor(ws){
+  const T = tenantOf(ws);
+  const noTransfer = isAfterHoursCall(ws) && !T.afterHours.allowTransfer;
+  return toolSchema.filter(t => {
+    const name = t.function.name;
+    if (noTransfer && name === "transfer") return false;
+    return !TOOLS_PRUNE || !toolMissing(T, name).length;
+  });
+}
+
+/* ===== Config validation & readiness =====
+   - TOOL_REQUIREMENTS: per tool, the config it needs for a tenant (named by env var, or tenant field)
+   - configReport(): missing required keys (providers, plus Twilio auth while TWILIO_AUTH_CHECK is on: without them
+     every /twiml is refused) + usable/unavailable tools per tenant; logged at startup and on reload
+   - GET /readyz: 503 unless every required key is set and every dashboard URL answers; the body is just { ok },
+     with the missing keys, dashboard probes and tools added for Bearer ADMIN_TOKEN
+   - /healthz stays a plain liveness check */
+const TOOL_REQUIREMENTS = {
+  read_availability:      T => ({ DASH_CAL_READ_URL: T.urls.CAL_READ }),
+  find_open_slots:        T => ({ DASH_CAL_READ_URL: T.urls.CAL_READ }),
+  book_appointment:       T => ({ DASH_CAL_CREATE_URL: T.urls.CAL_CREATE }),
+  cancel_appointment:     T => ({ DASH_CAL_CANCEL_URL: T.urls.CAL_CANCEL }),
+  reschedule_appointment: T => ({ DASH_CAL_READ_URL: T.urls.CAL_READ, DASH_CAL_CREATE_URL: T.urls.CAL_CREATE, DASH_CAL_CANCEL_URL: T.urls.CAL_CANCEL }),
+  find_customer_events:   T => ({ DASH_APPOINTMENTS_SEARCH_URL: T.urls.APPT_SEARCH || T.urls.CAL_CREATE }),
+  lead_upsert:            T => ({ DASH_LEAD_UPSERT_URL: T.urls.LEAD_UPSERT }),
+  transfer:               T => ({ TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, ownerPhone: T.ownerPhone }),
+  end_call:               () => ({ TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN })
+};
+function toolMissing(T, name){
+  return Object.entries(TOOL_REQUIREMENTS[name]?.(T) || {}).filter(([,v]) => !v).map(([k]) => k);
+}
+function missingRequiredKeys(){
+  const out = [];
+  for (const [stage, p] of [["STT", stt], ["TTS", tts], ["LLM", llm]]) {
+    for (const [k,v] of Object.entries(p.requires || {})) if (!v) out.push(`${k} (${stage})`);
+  }
+  if (TWILIO_AUTH_CHECK) {
+    for (const [k,v] of Object.entries({ TWILIO_AUTH_TOKEN, STREAM_TOKEN_SECRET })) if (!v) out.push(`${k} (Twilio auth)`);
+  }
+  return out;
+}
+function configReport(){
+  const report = { missing: missingRequiredKeys(), tenants:{} };
+  for (const T of tenants.byId.values()) {
+    const unavailable = {};
+    for (const t of toolSchema) {
+      const miss = toolMissing(T, t.function.name);
+      if (miss.length) unavailable[t.function.name] = miss;
+    }
+    report.tenants[T.id] = { tools: toolSchema.map(t => t.function.name).filter(n => !unavailable[n]), unavailable };
+  }
+  return report;
+}
+function logConfigReport(){
+  const r = configReport();
+  if (r.missing.length) log.error("[CONFIG] ❌ missing required keys:", r.missing.join(", "));
+  for (const [id, t] of Object.entries(r.tenants)) {
+    log("[CONFIG]", id, "tools:", t.tools.join(", ") || "none");
+    for (const [name, miss] of Object.entries(t.unavailable)) {
+      log.warn("[CONFIG] ⚠️", id, name, TOOLS_PRUNE ? "hidden from the model," : "will fail,", "missing", miss.join(", "));
+    }
+  }
+  return r;
+}
+
+// Distinct dashboard URLs across tenants, labelled by URLS key (file tenants' overrides as "<tenant>:<KEY>")
+function dashboardTargets(){
+  const byUrl = new Map();
+  for (const T of tenants.byId.values()) {
+    for (const [key, url] of Object.entries(T.urls)) {
+      if (!url || byUrl.has(url)) continue;
+      byUrl.set(url, T.urls === URLS ? key : `${T.id}:${key}`);
+    }
+  }
+  return byUrl;
+}
+let readyProbe = { at:0, results:null };
+async function probeDashboard(){
+  if (readyProbe.results && Date.now() - readyProbe.at < READYZ_CACHE_MS) return readyProbe.results;
+  const results = {};
+  await Promise.all([...dashboardTargets()].map(async ([url, label])=>{
+    const elapsed = startTimer();
+    try {
+      const r = await httpGet(url, { timeout:READYZ_TIMEOUT_MS, validateStatus:()=>true });
+      results[label] = { ok: r.status < 500, status: r.status, ms: Math.round(elapsed() * 1000) };
+    } catch(e){
+      results[label] = { ok:false, error: e?.code || e?.message, ms: Math.round(elapsed() * 1000) };
+    }
+  }));
+  readyProbe = { at:Date.now(), results };
+  return results;
+}
+
+// onText (optional) receives content deltas as they stream; the resolved choice is complete either way
+async function llmChat(messages, opts={}, wsContext=null, onText=null){
+  const body = { model:LLM_MODEL, temperature:LLM_TEMPERATURE, messages, tools:toolSchema, tool_choice:"auto", ...opts };
+  const stream = !!(onText && LLM_STREAM && llm.chatStream);
+  const elapsed = startTimer();
+  let data;
+  try {
+    if (stream) data = await llm.chatStream(body, onText);
+    else {
+      data = await llm.chat(body);
+      if (onText && data?.choices?.[0]?.message?.content) onText(data.choices[0].message.content);
+    }
+    observe(M.llmSeconds, { provider:LLM_PROVIDER, model:body.model, stream, status:"ok" }, elapsed());
+  } catch(e){
+    observe(M.llmSeconds, { provider:LLM_PROVIDER, model:body.model, stream, status:e?.response?.status || "error" }, elapsed());
+    throw e;
+  }
+  if (data?.usage) {
+    inc(M.llmTokens, { model:body.model, type:"prompt" }, data.usage.prompt_tokens || 0);
+    inc(M.llmTokens, { model:body.model, type:"completion" }, data.usage.completion_tokens || 0);
+  }
   
   // Track token usage for cost calculation
   if (wsContext && data?.usage) {
@@ -309,13 +1829,15 @@ TOOL 1: read_availability
 \`\`\`javascript
 read_availability({
   startISO: string,  // REQUIRED: "2025-10-16T14:00:00" (ISO in ${BIZ_TZ})
-  endISO: string     // REQUIRED: "2025-10-16T15:00:00" (typically +1 hour)
+  endISO: string     // OPTIONAL: "2025-10-16T15:00:00" (default: the service's usual length)
 })
 \`\`\`
 
 **REQUIRED FIELDS:**
 - startISO: ISO timestamp string (e.g., "2025-10-16T14:00:00")
-- endISO: ISO timestamp string (e.g., "2025-10-16T15:00:00")
+
+**OPTIONAL FIELDS:**
+- endISO: ISO timestamp string (e.g., "2025-10-16T15:00:00"); leave it out and the service's usual length is used
 
 **RESPONSE YOU'LL GET:**
 \`\`\`javascript
@@ -335,10 +1857,47 @@ read_availability({
 Say: "Let me check that time for you."
 Call: read_availability({ startISO: "2025-10-16T14:00:00", endISO: "2025-10-16T15:00:00" })
 If available=true → "That time is open! Booking it now."
-If available=false → "That's taken, but I have 2pm or 4pm. Which works?"
+If available=false → call find_open_slots, then offer ONLY the times it returns
+
+═══════════════════════════════════════════════════════════════
+TOOL 2: find_open_slots
+═══════════════════════════════════════════════════════════════
+
+**PURPOSE:** Find real open times when the requested slot is taken or the caller asks what's free
+
+**EXACT SCHEMA:**
+\`\`\`javascript
+find_open_slots({
+  fromISO: string,         // OPTIONAL: "2025-10-16T14:00:00" (search start, default now)
+  toISO: string,           // OPTIONAL: "2025-10-17T17:00:00" (search end, default a week later)
+  durationMinutes: number, // OPTIONAL: 60 (minutes; default: the service's usual length)
+  count: number            // OPTIONAL: 3 (how many options)
+})
+\`\`\`
+
+**RESPONSE YOU'LL GET:**
+\`\`\`javascript
+{
+  ok: true,
+  slots: [
+    { startISO: "2025-10-16T15:00:00", endISO: "2025-10-16T16:00:00", spoken: "Thursday, October 16 at 3:00 PM" }
+  ]
+}
+\`\`\`
+
+**WHEN TO USE:**
+- read_availability says available=false
+- Caller asks "what do you have?" or "when are you free?"
+
+**CRITICAL:** NEVER invent alternative times. Only offer slots this tool returned, and book with their exact startISO/endISO.
+If slots is empty → "I'm not seeing openings then. Is another day good?"
+
+**EXAMPLE:**
+Call: find_open_slots({ fromISO: "2025-10-16T14:00:00", count: 2 })
+Say: "That's taken, but I have Thursday at 3pm or Friday at 10am. Which works?"
 
 ═══════════════════════════════════════════════════════════════
-TOOL 2: book_appointment
+TOOL 3: book_appointment
 ═══════════════════════════════════════════════════════════════
 
 **PURPOSE:** Create a new appointment (ONLY after availability confirmed)
@@ -350,7 +1909,7 @@ book_appointment({
   phone: string,         // REQUIRED: "+14105551234" (normalized format)
   service: string,       // REQUIRED: "buyer", "seller", "investor", etc.
   startISO: string,      // REQUIRED: "2025-10-16T14:00:00" (ISO in ${BIZ_TZ})
-  endISO: string,        // REQUIRED: "2025-10-16T15:00:00" (ISO in ${BIZ_TZ})
+  endISO: string,        // OPTIONAL: "2025-10-16T15:00:00" (default: the service's usual length)
   meeting_type: string,  // REQUIRED: "in-person" OR "virtual"
   location: string,      // REQUIRED if in-person, "" if virtual
   title: string,         // REQUIRED: "{Type} — {Name}" format
@@ -363,7 +1922,6 @@ book_appointment({
 - phone: Normalized phone +1XXXXXXXXXX
 - service: What they need (buyer/seller/investor)
 - startISO: Appointment start time in ISO format
-- endISO: Appointment end time in ISO format (typically +1 hour)
 - meeting_type: "in-person" or "virtual"
 - location: Full address if in-person, "" if virtual, "office" for your office
 - title: "{Type} — {Name}" where Type is:
@@ -372,6 +1930,7 @@ book_appointment({
   * "Home Tour"
   * "Investor Consultation"
   * "Consultation"
+- endISO: (Optional) Appointment end time in ISO format; leave it out and the service's usual length is used
 - notes: (Optional) Any details caller provided
 
 **RESPONSE YOU'LL GET:**
@@ -413,7 +1972,7 @@ Call: book_appointment({
 Result: "You're all set! John Smith, Friday October 16th at 2pm, in-person at our office."
 
 ═══════════════════════════════════════════════════════════════
-TOOL 3: find_customer_events
+TOOL 4: find_customer_events
 ═══════════════════════════════════════════════════════════════
 
 **PURPOSE:** Find existing appointments for a customer (for reschedule/cancel)
@@ -460,7 +2019,7 @@ Result events.length > 0 → Found! Use event_id for next step
 Result events.length = 0 → "I'm not finding an appointment under that info."
 
 ═══════════════════════════════════════════════════════════════
-TOOL 4: cancel_appointment
+TOOL 5: cancel_appointment
 ═══════════════════════════════════════════════════════════════
 
 **PURPOSE:** Cancel an existing appointment
@@ -488,7 +2047,7 @@ cancel_appointment({
 **WHEN TO USE:**
 - After find_customer_events returns an event
 - When caller confirms they want to cancel
-- As part of reschedule workflow (cancel old, book new)
+- NOT for reschedules — use reschedule_appointment instead
 
 **EXAMPLE:**
 Say: "Canceling that for you."
@@ -496,7 +2055,7 @@ Call: cancel_appointment({ event_id: "uuid-from-previous-step" })
 Result: "All set, your appointment is canceled. Need to rebook?"
 
 ═══════════════════════════════════════════════════════════════
-TOOL 5: lead_upsert (Create/Update Lead)
+TOOL 6: lead_upsert (Create/Update Lead)
 ═══════════════════════════════════════════════════════════════
 
 **PURPOSE:** Create or update a lead when caller doesn't book immediately
@@ -540,7 +2099,7 @@ Call: lead_upsert({ name: "John Smith", phone: "+14105551234", intent: "interest
 Result: "We'll call you back within 24 hours."
 
 ═══════════════════════════════════════════════════════════════
-TOOL 6: faq (Log FAQ/General Question)
+TOOL 7: faq (Log FAQ/General Question)
 ═══════════════════════════════════════════════════════════════
 
 **PURPOSE:** Log FAQ or general question calls
@@ -574,7 +2133,7 @@ Say: "Our commission rate is 1.75% for sellers."
 Call: faq({ topic: "commission rates", service: "seller" })
 
 ═══════════════════════════════════════════════════════════════
-TOOL 7: transfer (Transfer to Human)
+TOOL 8: transfer (Transfer to Human)
 ═══════════════════════════════════════════════════════════════
 
 **PURPOSE:** Transfer caller to a human agent
@@ -605,7 +2164,7 @@ Call: transfer({ reason: "wants to speak to agent" })
 (Call transfers to human)
 
 ═══════════════════════════════════════════════════════════════
-TOOL 8: end_call (End the Call)
+TOOL 9: end_call (End the Call)
 ═══════════════════════════════════════════════════════════════
 
 **PURPOSE:** End the call when conversation is complete
@@ -680,8 +2239,9 @@ IF available=true:
   - Title format: "Buyer Consultation — [Name]" / "Seller Consultation — [Name]"
 
 IF available=false:
-  You: "That's taken, but I have Friday at 3pm or Monday at 2pm. Which works?"
-  (Repeat check & book with new time)
+  Call: find_open_slots({ fromISO: [requested startISO], count: 2 })
+  You: "That's taken, but I have [slot 1] or [slot 2]. Which works?" (ONLY times the tool returned)
+  (Book the chosen slot with its exact startISO/endISO)
 
 STEP 6: Final Confirmation (CRITICAL - READ THIS CAREFULLY)
 You: "Anything else I can help with?"
@@ -700,7 +2260,7 @@ IF caller asks for something else:
 NEVER BOOK THE SAME APPOINTMENT TWICE - if you already successfully booked, DO NOT call book_appointment again!
 
 ═══════════════════════════════════════════════════════════════
-RESCHEDULE WORKFLOW (4 Steps)
+RESCHEDULE WORKFLOW (2 Steps)
 ═══════════════════════════════════════════════════════════════
 
 STEP 1: Find Existing Appointment
@@ -708,21 +2268,16 @@ You: "Let me pull up your appointment."
 Call: find_customer_events({ name, phone, days: 30 })
 Get: event_id from response
 
-STEP 2: Check New Time Availability
-You: "Checking if [new time] works."
-Call: read_availability({ startISO: newStart, endISO: newEnd })
-Confirm: available=true
-
-STEP 3: Cancel Old Appointment
+STEP 2: Move It (ONE tool call — never cancel + book separately)
 You: "Moving that appointment for you."
-Call: cancel_appointment({ event_id })
-
-STEP 4: Book New Appointment
-You: "Booking your new time."
-Call: book_appointment({ ...with new ISOs, same details... })
+Call: reschedule_appointment({ event_id, newStartISO, newEndISO })
+- It checks the new time, books it, and only then cancels the old one
 
-STEP 5: Confirm
-You: "Perfect! Rescheduled to [Day] [Date] at [Time]. Anything else?"
+STEP 3: Confirm
+IF ok=true: "Perfect! Rescheduled to [Day] [Date] at [Time]. Anything else?"
+IF error="SLOT_TAKEN": call find_open_slots and offer those times (original appointment is unchanged)
+IF original="unchanged": "I couldn't move it, but your original appointment is still set."
+IF error="ROLLBACK_FAILED": "I'll have a team member confirm your appointment time with you."
 
 ═══════════════════════════════════════════════════════════════
 NATURAL CONVERSATION RULES
@@ -747,7 +2302,7 @@ ERROR HANDLING (Graceful Recovery)
 ═══════════════════════════════════════════════════════════════
 
 If read_availability fails:
-  "I'm having trouble checking that time. Let me suggest Tuesday at 10am?"
+  "I'm having trouble checking that time. Is there another time that works?"
 
 If book_appointment fails:
   "There was a hiccup booking that. Let me try a different time slot?"
@@ -767,9 +2322,12 @@ Hours: Mon–Fri 09:00–17:00 ${BIZ_TZ}
 If caller requests time outside hours:
   "We're open Monday through Friday, 9am to 5pm. How about [nearest in-hours time]?"
 
-If offering alternatives, ONLY suggest in-hours slots:
-  ✓ "I have Tuesday at 10am or Wednesday at 2pm"
-  ✗ "I have Saturday at 8pm" ❌
+If a tool returns error "OUTSIDE_BUSINESS_HOURS":
+  Tell the caller our hours, then call find_open_slots and offer those times
+
+If offering alternatives, ONLY suggest slots returned by find_open_slots:
+  ✓ "I have Tuesday at 10am or Wednesday at 2pm" (both from find_open_slots)
+  ✗ Any time you made up yourself ❌
 
 ═══════════════════════════════════════════════════════════════
 FINAL REMINDERS
@@ -777,14 +2335,14 @@ FINAL REMINDERS
 
 1. Be human, not robotic
 2. Trust your scratchpad — never re-ask for information you already have
-3. Check availability BEFORE booking (always)
+3. Check availability BEFORE booking (always); offer alternatives ONLY from find_open_slots
 4. **CRITICAL: After availability confirms slot is free, IMMEDIATELY call book_appointment in the SAME TURN**
 5. **DO NOT say "Booking it now" without actually calling book_appointment tool**
 6. **DO NOT ask for notes or other questions between availability check and booking**
 7. Use exact tool schemas - all required fields must be present
 8. Phone: +1XXXXXXXXXX format, ISO times: ${BIZ_TZ} timezone
 9. Title format: "{Type} — {Name}"
-10. Reschedule = find → check → cancel → book (in order)
+10. Reschedule = find_customer_events → reschedule_appointment (never cancel then book)
 11. One question at a time, brief responses
 12. Never mention technical terms (tools, ISOs, APIs)
 13. Handle errors gracefully with alternative solutions
@@ -792,7 +2350,7 @@ FINAL REMINDERS
 15. NEVER book the same appointment twice!
 
 **BOOKING FLOW CHECKLIST:**
-✓ Have all required fields? (name, phone, service, meeting_type, location, startISO, endISO, title)
+✓ Have all required fields? (name, phone, service, meeting_type, location, startISO, title)
 ✓ Availability confirmed as true?
 ✓ Call book_appointment immediately in same turn as availability response
 ✓ DO NOT ask questions before booking - book first, confirm second
@@ -800,33 +2358,349 @@ FINAL REMINDERS
 You are the friendly, efficient voice of The Victory Team. Make every caller feel heard, helped, and valued! 🏆
 `;
 
-async function getPrompt(){
-  if (RENDER_PROMPT) return RENDER_PROMPT;
-  if (URLS.PROMPT_FETCH) {
-    try { const { data } = await httpGet(URLS.PROMPT_FETCH, { params:{ biz:DASH_BIZ }, timeout:8000 }); if (data?.prompt) return data.prompt; } catch {}
+/* ===== Prompt resolution: cached fetch, pinned per call, A/B variants =====
+   - Fetched prompts are cached per URL + business for PROMPT_CACHE_TTL_MS, then revalidated (If-None-Match
+     when the server sent an ETag); a failed fetch keeps serving the last good copy
+   - A call resolves its prompt once (callPrompt) and keeps it to the end, so a flaky fetch can't swap it mid-call
+   - promptVariants: weighted pick, sticky per caller number (CallSid without one); a variant with no prompt of
+     its own is the control and runs the tenant's usual prompt; a call whose variant prompt failed to fetch (and had
+     no cached copy) runs the usual prompt too, recorded as variant "fallback" so it counts for neither arm
+   - Summary + history carry promptVersion (content hash) and promptVariant; GET /api/prompt-variants compares them */
+const promptCache = new Map(); // `${url}|${biz}` -> { prompt, etag, fetchedAt, inflight }
+const PROMPT_VARIANT_FALLBACK = "fallback";
+
+async function fetchPrompt(url, t){
+  const key = `${url}|${t.biz}`;
+  const entry = promptCache.get(key) || { prompt:"", etag:"", fetchedAt:0, inflight:null };
+  promptCache.set(key, entry);
+  if (entry.prompt && Date.now() - entry.fetchedAt < PROMPT_CACHE_TTL_MS) return entry.prompt;
+  return entry.inflight ||= (async ()=>{
+    try {
+      const r = await httpGet(url, {
+        params:{ biz:t.biz }, timeout:8000,
+        headers: entry.etag ? { "If-None-Match": entry.etag } : {},
+        validateStatus: s => s === 304 || (s >= 200 && s < 300)
+      });
+      if (r.status === 304 && entry.prompt) { entry.fetchedAt = Date.now(); return entry.prompt; }
+      if (!r.data?.prompt) throw new Error("response has no prompt");
+      Object.assign(entry, { prompt: renderPromptVars(r.data.prompt, t), etag: r.headers.etag || "", fetchedAt: Date.now() });
+      return entry.prompt;
+    } catch(e){
+      log("[PROMPT] ⚠️ fetch failed:", url, e?.message, entry.prompt ? "(using last good copy)" : "");
+      return entry.prompt;
+    } finally {
+      entry.inflight = null;
+    }
+  })();
+}
+
+// Env tenant: RENDER_PROMPT → PROMPT_FETCH → FALLBACK_PROMPT. File tenants: promptFetchUrl → their own prompt
+async function getPrompt(t=getTenant()){
+  if (t === ENV_TENANT && t.prompt) return t.prompt;
+  if (t.promptFetchUrl) {
+    const fetched = await fetchPrompt(t.promptFetchUrl, t);
+    if (fetched) return fetched;
   }
-  return FALLBACK_PROMPT;
+  return t.prompt || FALLBACK_PROMPT;
+}
+
+function pickPromptVariant(variants, seed){
+  const total = variants.reduce((a,v)=> a + v.weight, 0);
+  if (!total) return null;
+  let n = crypto.createHash("sha1").update(seed).digest().readUInt32BE(0) / 2**32 * total;
+  return variants.find(v => (n -= v.weight) < 0) || variants.at(-1);
+}
+async function resolvePrompt(ws){
+  const t = tenantOf(ws);
+  const variant = pickPromptVariant(t.promptVariants, `${t.id}:${ws._from || ws._callSid}`);
+  let prompt = variant?.prompt ? renderPromptVars(variant.prompt, t) : "";
+  if (!prompt && variant?.promptFetchUrl) prompt = await fetchPrompt(variant.promptFetchUrl, t);
+  // A variant whose prompt couldn't be fetched runs the usual prompt; crediting that call to the variant would skew its numbers
+  const fellBack = !prompt && !!variant?.promptFetchUrl;
+  if (fellBack) log("[PROMPT] ⚠️ variant", variant.id, "has no prompt, running the usual one as", PROMPT_VARIANT_FALLBACK);
+  if (!prompt) prompt = await getPrompt(t);
+  ws._promptVariant = fellBack ? PROMPT_VARIANT_FALLBACK : variant?.id || "";
+  ws._promptVersion = promptVersion(prompt);
+  log("[PROMPT]", "version", ws._promptVersion, ...(variant ? ["variant", variant.id] : []));
+  return prompt;
+}
+// The prompt this call runs on: resolved on first use, then pinned
+function callPrompt(ws){
+  return ws._prompt ||= resolvePrompt(ws);
 }
 
-function systemMessages(prompt){
-  const parts = new Intl.DateTimeFormat("en-CA",{ timeZone:BIZ_TZ, year:"numeric", month:"2-digit", day:"2-digit" })
+// Short content hash, so call history can tell which prompt text a call used
+function promptVersion(prompt){
+  return crypto.createHash("sha1").update(String(prompt)).digest("hex").slice(0, 12);
+}
+function systemMessages(prompt, ws=null){
+  const t = tenantOf(ws);
+  const parts = new Intl.DateTimeFormat("en-CA",{ timeZone:t.tz, year:"numeric", month:"2-digit", day:"2-digit" })
     .formatToParts(new Date()).reduce((a,x)=> (a[x.type]=x.value,a),{});
   const today = `${parts.year}-${parts.month}-${parts.day}`;
   return [
-    { role:"system", content:`Today is ${today}. Business timezone: ${BIZ_TZ}. Resolve relative dates in this timezone.` },
-    { role:"system", content: prompt }
+    { role:"system", content:`Today is ${today}. Business timezone: ${t.tz}. Resolve relative dates in this timezone.` },
+    { role:"system", content: prompt },
+    ...(isAfterHoursCall(ws) ? [{ role:"system", content: afterHoursNote(t) }] : []),
+    ...(ws?._outbound ? [{ role:"system", content: outboundNote(ws) }] : [])
   ];
 }
 
+function afterHoursNote(t){
+  return [
+    `AFTER-HOURS CALL: ${t.biz} is closed right now (hours: ${t.hours}, ${t.tz}).`,
+    "Let the caller know the office is closed, then offer to book a time during business hours or take a message with lead_upsert.",
+    t.afterHours.allowTransfer ? "" : "Live transfer is NOT available right now — do not offer to connect them to a person.",
+    t.afterHours.prompt
+  ].filter(Boolean).join("\n");
+}
+
 /* ===== Local time helpers ===== */
-function toLocalYmdHm(iso, tz){
-  const d = new Date(iso);
+function toLocalYmdHm(when, tz){
+  const d = new Date(when);
   const f = new Intl.DateTimeFormat("en-CA", {
     timeZone: tz, year:"numeric", month:"2-digit", day:"2-digit",
     hour:"2-digit", minute:"2-digit", hour12:false
   }).formatToParts(d).reduce((a,p)=>(a[p.type]=p.value,a),{});
   return `${f.year}-${f.month}-${f.day} ${f.hour}:${f.minute}`;
 }
+function localParts(date, tz){
+  const f = new Intl.DateTimeFormat("en-CA", {
+    timeZone: tz, year:"numeric", month:"2-digit", day:"2-digit",
+    hour:"2-digit", minute:"2-digit", second:"2-digit", hourCycle:"h23"
+  }).formatToParts(date).reduce((a,p)=>(a[p.type]=p.value,a),{});
+  return { y:+f.year, mo:+f.month, d:+f.day, h:+f.hour, mi:+f.minute, s:+f.second };
+}
+function tzOffsetMs(date, tz){
+  const p = localParts(date, tz);
+  return Date.UTC(p.y, p.mo-1, p.d, p.h, p.mi, p.s) - Math.floor(date.getTime()/1000)*1000;
+}
+// Wall-clock time in tz → Date; second pass picks up a DST change between the guess and the answer
+function zonedToDate(y, mo, d, h, mi, tz){
+  const wall = Date.UTC(y, mo-1, d, h, mi);
+  const first = wall - tzOffsetMs(new Date(wall), tz);
+  return new Date(wall - tzOffsetMs(new Date(first), tz));
+}
+// "2025-10-16T14:00[:00]" (wall clock in tz) or anything carrying Z / an offset → Date; null if unparseable
+function parseWhen(s, tz){
+  const str = String(s || "").trim();
+  const m = str.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/);
+  if (m) return zonedToDate(+m[1], +m[2], +m[3], +m[4], +m[5], tz);
+  if (!/T.*([zZ]|[+-]\d{2}:?\d{2})$/.test(str)) return null;
+  const d = new Date(str);
+  return isNaN(d) ? null : d;
+}
+// Date → "YYYY-MM-DDTHH:mm:00" wall clock in tz (the format the prompt and ReceptorX use)
+function toLocalISO(date, tz){
+  const p = localParts(date, tz);
+  const z = n => String(n).padStart(2,"0");
+  return `${p.y}-${z(p.mo)}-${z(p.d)}T${z(p.h)}:${z(p.mi)}:00`;
+}
+function spokenTime(date, tz){
+  return new Intl.DateTimeFormat("en-US", { timeZone:tz, weekday:"long", month:"long", day:"numeric", hour:"numeric", minute:"2-digit" }).format(date);
+}
+function hmToMinutes(hm){
+  const [h,m] = String(hm).split(":").map(Number);
+  return h*60 + (m||0);
+}
+
+/* ===== Business hours & holidays (enforced in code, not just prompt prose) ===== */
+function hoursOn(T, y, mo, d){
+  const ymd = `${y}-${String(mo).padStart(2,"0")}-${String(d).padStart(2,"0")}`;
+  const holiday = T.holidays.find(h => h.date === ymd) || null;
+  const intervals = holiday ? holiday.hours : (T.openHours[DAY_KEYS[new Date(Date.UTC(y, mo-1, d)).getUTCDay()]] || []);
+  return {
+    holiday,
+    intervals: intervals.map(([open, close]) => {
+      const o = hmToMinutes(open), c = hmToMinutes(close);
+      return [zonedToDate(y, mo, d, Math.floor(o/60), o%60, T.tz).getTime(), zonedToDate(y, mo, d, Math.floor(c/60), c%60, T.tz).getTime()];
+    })
+  };
+}
+// null when [start,end] sits inside one open interval of its local day, else a structured tool error
+function checkBusinessHours(T, start, end){
+  const p = localParts(start, T.tz);
+  const { holiday, intervals } = hoursOn(T, p.y, p.mo, p.d);
+  if (intervals.some(([o,c]) => start.getTime() >= o && end.getTime() <= c)) return null;
+  const reason = holiday && !intervals.length ? "HOLIDAY" : !intervals.length ? "CLOSED_DAY" : "OUTSIDE_HOURS";
+  return {
+    ok:false, error:"OUTSIDE_BUSINESS_HOURS", reason, hours:T.hours, timezone:T.tz,
+    holiday: holiday?.name || undefined,
+    message:`Requested time is outside business hours (${T.hours}${holiday ? `; ${holiday.name || "holiday"} on ${holiday.date}` : ""}). Offer an in-hours time from find_open_slots.`
+  };
+}
+function isOpenNow(T){
+  const now = new Date();
+  return !checkBusinessHours(T, now, now);
+}
+function isAfterHoursCall(ws){
+  return !!ws?._afterHours;
+}
+
+/* ===== Tool time arguments =====
+   Every start/end the model sends goes through here before any dashboard call: "Z" and offset forms
+   are converted to the tenant's wall clock, local forms are taken as tenant-local, times skipped by a
+   DST spring-forward are refused, and a missing end defaults to the service's length. */
+function serviceMinutes(T, service){
+  const d = T.serviceDurations;
+  return Number(d[String(service || "").toLowerCase()] ?? d.default ?? 60);
+}
+function resolveWindow(T, startISO, endISO, { service="", minutes=0, field="startISO", endField="endISO" } = {}){
+  if (!startISO) return { ok:false, error:"MISSING_START_TIME", field, message:`${field} is required` };
+  const start = parseWhen(startISO, T.tz);
+  if (!start) return { ok:false, error:"BAD_TIME_FORMAT", field, message:`${field} "${startISO}" must look like 2025-10-16T14:00:00` };
+  const wall = String(startISO).trim().match(/^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})/);
+  if (wall && !/[zZ]|[+-]\d{2}:?\d{2}$/.test(String(startISO).trim().slice(10)) && toLocalISO(start, T.tz).slice(0,16) !== `${wall[1]}T${wall[2]}`) {
+    return { ok:false, error:"NONEXISTENT_LOCAL_TIME", field, message:`${wall[1]} ${wall[2]} doesn't exist in ${T.tz} (daylight saving change)` };
+  }
+  const end = endISO ? parseWhen(endISO, T.tz) : new Date(start.getTime() + (minutes || serviceMinutes(T, service)) * 60000);
+  if (!end) return { ok:false, error:"BAD_TIME_FORMAT", field:endField, message:`${endField} "${endISO}" must look like 2025-10-16T15:00:00` };
+  if (end <= start) return { ok:false, error:"END_NOT_AFTER_START", field:endField, message:`${endField} must be after ${field}` };
+  if (start.getTime() < Date.now() - 60000) return { ok:false, error:"TIME_IN_PAST", field, message:`${toLocalISO(start, T.tz)} (${T.tz}) has already passed` };
+  return { ok:true, start, end, startISO: toLocalISO(start, T.tz), endISO: toLocalISO(end, T.tz) };
+}
+
+/* ===== Tool argument validation =====
+   Every tool call is checked before it runs, so the model gets field-level errors it can fix (or ask the caller
+   about) instead of an opaque dashboard failure:
+   - toolSchema parameters: required, type, enum, minLength, pattern, minimum, maximum (a JSON Schema subset)
+   - Lenient where it's safe: numeric strings for number fields, phones normalized to E.164, enum case/spacing
+   - Semantic: time fields must parse in the tenant's tz, ends must follow starts, in-person needs a location
+   - Failure → { ok:false, error:"INVALID_ARGUMENTS", errors:[{ field, error, message }], message } */
+const TIME_FIELD_PAIRS = [["startISO","endISO"], ["fromISO","toISO"], ["newStartISO","newEndISO"]];
+
+function schemaErrors(schema, args){
+  const errors = [];
+  const props = schema.properties || {};
+  for (const field of schema.required || []) {
+    if (args[field] == null) errors.push({ field, error:"REQUIRED", message:`${field} is required` });
+  }
+  for (const [field, p] of Object.entries(props)) {
+    let v = args[field];
+    if (v == null) continue;
+    if ((p.type === "number" || p.type === "integer") && typeof v === "string" && v.trim() && !isNaN(v)) v = args[field] = Number(v);
+    const type = Array.isArray(v) ? "array" : typeof v;
+    if (p.type === "integer" ? !Number.isInteger(v) : p.type && type !== p.type) {
+      errors.push({ field, error:"WRONG_TYPE", message:`${field} must be a ${p.type}` });
+      continue;
+    }
+    if (p.enum && !p.enum.includes(v)) errors.push({ field, error:"NOT_ALLOWED", message:`${field} must be one of: ${p.enum.join(", ")} (got "${v}")` });
+    if (type === "string" && p.minLength && v.trim().length < p.minLength) errors.push({ field, error:"EMPTY", message:`${field} can't be empty` });
+    else if (type === "string" && v && p.pattern && !new RegExp(p.pattern).test(v)) {
+      errors.push(p.pattern === E164_PATTERN
+        ? { field, error:"BAD_PHONE", message:`${field} "${v}" isn't a complete phone number; confirm it with the caller (format +14105551234)` }
+        : { field, error:"BAD_FORMAT", message:`${field} "${v}" must match ${p.pattern}` });
+    }
+    if (type === "number" && p.minimum != null && v < p.minimum) errors.push({ field, error:"TOO_SMALL", message:`${field} must be at least ${p.minimum}` });
+    if (type === "number" && p.maximum != null && v > p.maximum) errors.push({ field, error:"TOO_LARGE", message:`${field} must be at most ${p.maximum}` });
+  }
+  return errors;
+}
+// null when the call may run; args are normalized in place (phones, enums, numbers)
+function checkToolArgs(name, args, ws){
+  const schema = toolSchema.find(t => t.function.name === name)?.function.parameters;
+  if (!schema) return null;
+  const T = tenantOf(ws);
+  const squash = x => String(x).toLowerCase().replace(/[\s_-]+/g, "");
+  for (const [field, p] of Object.entries(schema.properties || {})) {
+    const v = args[field];
+    if (typeof v !== "string" || !v) continue;
+    if (p.pattern === E164_PATTERN) args[field] = normalizePhone(v) || (v.trim().startsWith("+") ? `+${v.replace(/\D/g, "")}` : v);
+    if (p.enum) args[field] = p.enum.find(e => squash(e) === squash(v)) ?? v;
+  }
+  const errors = schemaErrors(schema, args);
+  const hasError = f => errors.some(e => e.field === f);
+  for (const [a, b] of TIME_FIELD_PAIRS) {
+    const times = {};
+    for (const f of [a, b]) {
+      if (!(f in (schema.properties || {})) || !args[f] || hasError(f)) continue;
+      times[f] = parseWhen(args[f], T.tz);
+      if (!times[f]) errors.push({ field:f, error:"BAD_TIME_FORMAT", message:`${f} "${args[f]}" must look like 2025-10-16T14:00:00` });
+    }
+    if (times[a] && times[b] && times[b] <= times[a]) errors.push({ field:b, error:"END_NOT_AFTER_START", message:`${b} must be after ${a}` });
+  }
+  if (args.meeting_type === "in-person" && "location" in (schema.properties || {}) && !String(args.location || "").trim()) {
+    errors.push({ field:"location", error:"LOCATION_REQUIRED", message:"in-person meetings need a location (address or office)" });
+  }
+  if (!errors.length) return null;
+  return {
+    ok:false, error:"INVALID_ARGUMENTS", errors,
+    message:`${name} was not run. Fix these (ask the caller if you need to) and call it again: ${errors.map(e => e.message).join("; ")}`
+  };
+}
+
+/* ===== Booking guardrails: enforced in code, not just prompt prose =====
+   - book_appointment only books a window this call saw free (read_availability said available, or find_open_slots
+     offered it) within the last BOOKING_VERIFY_MAX_AGE_MS
+   - One booking per caller phone per call; moving it goes through reschedule_appointment (which books internally)
+   - CAL_CREATE gets an idempotency key per call + caller + window, so a retried create can't double-book; a cancel in
+     this call starts a new key, so rebooking a cancelled window creates a fresh event instead of replaying the old one
+   - Refusals come back to the model as { ok:false, error, message } saying what to do instead */
+const BOOKING_VERIFY_MAX_AGE_MS = 10 * 60 * 1000;
+
+function markWindowFree(ws, start, end){
+  ws?._freeWindows?.push({ start:start.getTime(), end:end.getTime(), at:Date.now() });
+}
+function bookingGuard(ws, w, phone){
+  if (!ws?._bookings) return null; // no call context
+  const prior = ws._bookings.find(b => b.phone === phone);
+  if (prior) return {
+    ok:false, error:"ALREADY_BOOKED", appointmentId:prior.appointmentId, startTime:prior.startTime,
+    message:`This caller already has ${prior.startTime} booked from this call. Don't book again; to change the time use reschedule_appointment with event_id ${prior.appointmentId}.`
+  };
+  const seenFree = ws._freeWindows.some(f => Date.now() - f.at < BOOKING_VERIFY_MAX_AGE_MS && w.start.getTime() >= f.start && w.end.getTime() <= f.end);
+  if (!seenFree) return {
+    ok:false, error:"AVAILABILITY_NOT_CONFIRMED",
+    message:`Check ${w.startISO} to ${w.endISO} with read_availability first, and book only if it comes back available.`
+  };
+  return null;
+}
+function bookingIdempotencyKey(ws, phone, w){
+  if (!ws?._callSid) return uuidv4();
+  return crypto.createHash("sha1").update([ws._callSid, phone, w.startISO, w.endISO, ws._cancels || 0].join("|")).digest("hex").slice(0, 32);
+}
+
+// Customer details of a known event: dashboard search results name them several ways, and the
+// "Service: … Type: …" notes book_appointment writes are the last resort
+const EVENT_DETAIL_KEYS = {
+  name:         ["customer_name", "Customer_Name", "customerName", "name"],
+  phone:        ["customer_phone", "Customer_Phone", "customerPhone", "phone"],
+  service:      ["service", "Service"],
+  meeting_type: ["meeting_type", "Meeting_Type", "meetingType"]
+};
+function eventDetail(ev, field){
+  for (const k of EVENT_DETAIL_KEYS[field]) if (ev?.[k]) return String(ev[k]);
+  const notes = String(ev?.notes ?? ev?.Notes ?? "");
+  if (field === "service") return notes.match(/\bService:\s*([a-z]+)/i)?.[1]?.toLowerCase() || "";
+  if (field === "meeting_type") return notes.match(/\bType:\s*(in-person|virtual)\b/i)?.[1]?.toLowerCase() || "";
+  return "";
+}
+
+/* ===== Open slot search =====
+   Candidates walk each local day's open intervals (holidays applied) in slotStepMinutes steps; a candidate survives if it
+   starts in the future and clears every busy interval (padded by bufferMinutes on both sides). */
+const SLOT_SEARCH_MAX_DAYS = 14;
+function busyInterval(c, tz){
+  const start = parseWhen(c?.start ?? c?.startISO ?? c?.start_time ?? c?.start_local ?? c?.Start_Time_Local, tz);
+  const end   = parseWhen(c?.end ?? c?.endISO ?? c?.end_time ?? c?.end_local ?? c?.End_Time_Local, tz);
+  return start && end ? { start:start.getTime(), end:end.getTime() } : null;
+}
+function candidateSlots(T, from, to, durationMinutes){
+  const out = [];
+  const step = T.slotStepMinutes * 60000, dur = durationMinutes * 60000;
+  const first = localParts(from, T.tz), last = localParts(to, T.tz);
+  const lastDay = Date.UTC(last.y, last.mo-1, last.d);
+  for (let day = Date.UTC(first.y, first.mo-1, first.d); day <= lastDay; day += 86400000) {
+    const dt = new Date(day);
+    for (const [openAt, closeAt] of hoursOn(T, dt.getUTCFullYear(), dt.getUTCMonth()+1, dt.getUTCDate()).intervals) {
+      for (let t = openAt; t + dur <= closeAt; t += step) {
+        if (t >= from.getTime() && t + dur <= to.getTime()) out.push({ start:t, end:t + dur });
+      }
+    }
+  }
+  return out;
+}
+
 
 /* ===== Slot extractor ===== */
 function normalizePhone(s){
@@ -834,36 +2708,218 @@ function normalizePhone(s){
   const d = s.replace(/\D/g,"");
   if (d.length === 10) return `+1${d}`;
   if (d.length === 11 && d.startsWith("1")) return `+${d}`;
-  if (d.startsWith("+")) return d;
+  if (String(s).trim().startsWith("+") && d.length >= 8 && d.length <= 15) return `+${d}`;
   return "";
 }
+
+/* ===== Spoken numbers & spelling =====
+   STT hands us what callers say, not what they'd type:
+   - spokenNumbers(): "four one zero, five five five" → "410555", "double five" → "55", "twelve thirty four" → "1234",
+     "fifteen hundred" → "1500"; number words (and digits next to them) separated only by spaces, commas or
+     dashes merge into one run. Only slot parsing sees the result, never the model
+   - spelledLetters(): "M-E-T-Z-G-E-R", "m e t z", "Z as in zebra", "double L" → letters, "" when it isn't spelling
+   - Phone digits and spelled names may come over several utterances; ws._digitRun / ws._spelling carry the
+     partial value for SPOKEN_CONTINUE_MS
+   - Corrections: "no, it's Metzger with a Z", "Smyth, not Smith", "555 not 565", "the last four are 1234" */
+const SPOKEN_CONTINUE_MS = 15000;
+const UNIT_WORDS  = { zero:0, oh:0, o:0, one:1, two:2, three:3, four:4, five:5, six:6, seven:7, eight:8, nine:9 };
+const TEEN_WORDS  = { ten:10, eleven:11, twelve:12, thirteen:13, fourteen:14, fifteen:15, sixteen:16, seventeen:17, eighteen:18, nineteen:19 };
+const TENS_WORDS  = { twenty:20, thirty:30, forty:40, fifty:50, sixty:60, seventy:70, eighty:80, ninety:90 };
+const SCALE_WORDS = { hundred:100, thousand:1000 };
+const REPEAT_WORDS = { double:2, triple:3 };
+// Letters callers swap when correcting a spelling ("with a Z" on a name heard with an S)
+const SOUND_ALIKE = { z:"s", s:"z", c:"k", k:"c", y:"i", i:"y", f:"v", v:"f" };
+const FILLER_WORD = /^(it'?s|that'?s|i'?m|is|was|and|but|so|i|said|at|on|in|the|a|an|my|for|to|not|with)$/i;
+const NOT_A_NAME = /^(monday|tuesday|wednesday|thursday|friday|saturday|sunday|today|tomorrow|morning|afternoon|evening|january|february|march|april|may|june|july|august|september|october|november|december|yes|no|okay|fine|correct|right|virtual|zoom|office)$/i;
+
+function isNumberWord(w){
+  const k = String(w || "").toLowerCase();
+  return k in UNIT_WORDS || k in TEEN_WORDS || k in TENS_WORDS || k in SCALE_WORDS;
+}
+function spokenNumbers(text){
+  const tokens = String(text).match(/[A-Za-z']+|\d+|[^A-Za-z'\d]+/g) || [];
+  const out = [];
+  let run = [], pending = null, repeat = 1, lastDigits = false, heldSep = "";
+  const flushPending = ()=>{ if (pending) run.push(String(pending.n)); pending = null; };
+  const endRun = ()=>{ flushPending(); if (run.length) out.push(run.join("")); run = []; repeat = 1; lastDigits = false; };
+  const active = ()=> run.length > 0 || !!pending || repeat > 1; // "double" opens a run: "double five" → "55"
+  const nextWord = i => tokens.slice(i + 1).find(x => /[A-Za-z\d]/.test(x)) || "";
+
+  tokens.forEach((tok, i)=>{
+    const k = tok.toLowerCase();
+    if (!/[A-Za-z\d]/.test(tok)) {
+      if (active() && /^[\s,-]+$/.test(tok)) heldSep += tok;
+      else { endRun(); out.push(heldSep, tok); heldSep = ""; }
+      return;
+    }
+    const numeric = /^\d+$/.test(tok) || isNumberWord(k) || (k in REPEAT_WORDS && k !== "o" && nextWord(i).toLowerCase() in UNIT_WORDS)
+      || (k === "and" && pending?.kind === "scale" && isNumberWord(nextWord(i)));
+    const zeroOk = (k !== "oh" && k !== "o") || active() || isNumberWord(nextWord(i)) || /^\d+$/.test(nextWord(i));
+    if (!numeric || !zeroOk || (/^\d+$/.test(tok) && active() && lastDigits)) {
+      endRun();
+      out.push(heldSep); heldSep = "";
+      if (!numeric || !zeroOk) { out.push(tok); return; }
+    }
+    heldSep = "";
+    if (/^\d+$/.test(tok)) { flushPending(); run.push(tok); lastDigits = true; return; }
+    lastDigits = false;
+    if (k in REPEAT_WORDS) { repeat = REPEAT_WORDS[k]; return; }
+    if (k === "and") return;
+    if (k in UNIT_WORDS) {
+      const v = UNIT_WORDS[k];
+      if (pending && repeat === 1 && v > 0 && (pending.kind === "tens" || pending.kind === "scale")) { pending.n += v; flushPending(); }
+      else { flushPending(); run.push(String(v).repeat(repeat)); }
+      repeat = 1;
+      return;
+    }
+    if (k in TEEN_WORDS) {
+      if (pending?.kind === "scale") { pending.n += TEEN_WORDS[k]; flushPending(); }
+      else { flushPending(); run.push(String(TEEN_WORDS[k])); }
+      return;
+    }
+    if (k in TENS_WORDS) {
+      if (pending?.kind === "scale") { pending.n += TENS_WORDS[k]; pending.kind = "tens"; }
+      else { flushPending(); pending = { n:TENS_WORDS[k], kind:"tens" }; }
+      return;
+    }
+    const base = pending ? pending.n : Number(run.pop() || 1); // scale word: "fifteen hundred", "two thousand"
+    pending = { n: base * SCALE_WORDS[k], kind:"scale" };
+  });
+  endRun();
+  out.push(heldSep);
+  return out.join("");
+}
+
+// Spelled-out letters in text ("" if none); min = fewest letters that count as spelling unless it's the whole utterance
+function spelledLetters(text, min = 3){
+  const src = String(text)
+    .replace(/\b([a-z])\s+(?:as|like)\s+in\s+[a-z]+/gi, "$1")
+    .replace(/\b(?:double)[\s-]+([a-z])\b/gi, "$1 $1");
+  const tokens = src.split(/[\s.,;:!?"-]+/).filter(Boolean);
+  let best = [], cur = [];
+  for (const tk of tokens) {
+    if (/^[a-z]$/i.test(tk)) { cur.push(tk.toLowerCase()); if (cur.length > best.length) best = cur.slice(); }
+    else cur = [];
+  }
+  const whole = best.length && best.length === tokens.length;
+  return best.length >= min || (whole && best.length >= 1) ? best.join("") : "";
+}
+function capWord(w){ return w ? w[0].toUpperCase() + w.slice(1).toLowerCase() : w; }
+
+// Index of the name word a spelling or correction is about: explicit first/last, else the word sharing its initial
+function nameWordIndex(words, word, part){
+  if (part === "first") return 0;
+  if (part === "last") return words.length >= 2 ? words.length - 1 : words.length;
+  const same = words.findIndex(w => w[0]?.toLowerCase() === word[0]?.toLowerCase());
+  if (same >= 0) return same;
+  return words.length ? words.length - 1 : 0;
+}
+function setNameWord(ws, word, part){
+  const words = ws._slots.name ? ws._slots.name.split(/\s+/) : [];
+  const i = nameWordIndex(words, word, part);
+  words[i] = capWord(word);
+  ws._slots.name = words.join(" ");
+  return i;
+}
+function applySpelling(ws, letters, part, continuing){
+  const now = Date.now();
+  const sp = ws._spelling;
+  if (continuing) {
+    sp.letters += letters; // "M E T Z" ... "G E R"
+    const words = ws._slots.name ? ws._slots.name.split(/\s+/) : [];
+    words[sp.index] = capWord(sp.letters);
+    ws._slots.name = words.join(" ");
+    sp.at = now;
+    return;
+  }
+  ws._spelling = { letters, index: setNameWord(ws, letters, part), at: now };
+}
+// "Metsger" + "with a Z" → "Metzger"
+function withLetter(word, letter){
+  const l = letter.toLowerCase();
+  if (!l || word.toLowerCase().includes(l)) return word;
+  const alike = SOUND_ALIKE[l];
+  const at = alike ? word.toLowerCase().indexOf(alike) : -1;
+  return at < 0 ? word : word.slice(0, at) + (at === 0 ? l.toUpperCase() : l) + word.slice(at + 1);
+}
+function collectPhoneDigits(ws, digits){
+  const now = Date.now();
+  const run = ws._digitRun && now - ws._digitRun.at < SPOKEN_CONTINUE_MS ? ws._digitRun.digits + digits : digits;
+  const phone = run.length === 10 || (run.length === 11 && run.startsWith("1")) ? normalizePhone(run) : "";
+  if (phone) { ws._slots.phone = phone; ws._digitRun = null; }
+  else ws._digitRun = run.length < 11 ? { digits: run, at: now } : null;
+}
+
 function extractSlots(ws, text){
-  const t = String(text).toLowerCase();
   const originalText = String(text).trim();
+  const spoken = spokenNumbers(originalText); // number words → digits, for phone / street number matching
+  const t = spoken.toLowerCase();
   
-  // Get last agent message to understand context
-  const lastAgentMsg = [...ws._mem].reverse().find(m => m.role === 'assistant');
-  const lastAgentText = lastAgentMsg ? lastAgentMsg.content.toLowerCase() : '';
+  // Get last agent message to understand context (tool-call turns have no text)
+  const lastAgentMsg = [...ws._mem].reverse().find(m => m.role === 'assistant' && m.content);
+  const lastAgentText = String(lastAgentMsg?.content || "").toLowerCase();
+  const askedName  = /\b(your name|name|who am i speaking with|spell)\b/.test(lastAgentText);
+  const askedPhone = /\b(phone|number|reach you|call you)\b/.test(lastAgentText);
+  const namePart = /\bfirst name\b/.test(`${lastAgentText} ${originalText.toLowerCase()}`) ? "first"
+    : /\b(last name|surname|family name)\b/.test(`${lastAgentText} ${originalText.toLowerCase()}`) ? "last" : null;
   
   // PHONE: Multiple detection methods
   if (/this (is )?my number|this number|this one|same number/.test(t) && ws._from) {
     ws._slots.phone = normalizePhone(ws._from);
   }
-  const mPhone = text.match(/(?:\+?1[\s\-\.]?)?\(?\d{3}\)?[\s\-\.]?\d{3}[\s\-\.]?\d{4}/);
-  if (mPhone) ws._slots.phone = normalizePhone(mPhone[0]);
+  const mPhone = spoken.match(/(?:\+?1[\s\-\.]?)?\(?\d{3}\)?[\s\-\.]?\d{3}[\s\-\.]?\d{4}/);
+  if (mPhone) { ws._slots.phone = normalizePhone(mPhone[0]); ws._digitRun = null; }
+  else if (askedPhone || ws._digitRun) {
+    // "four one zero" … "five five five, one two three four" across utterances
+    const digits = (spoken.match(/\d[\d\s().-]*\d|\d/g) || []).join("").replace(/\D/g, "");
+    if (digits.length >= 3) collectPhoneDigits(ws, digits);
+  }
+  const lastFour = originalText.match(/\b(?:last (?:four|4)(?: digits)?|ends? (?:in|with))(?: (?:are|is))?[:,]?\s+(.+)/i);
+  const lastFourDigits = lastFour ? spokenNumbers(lastFour[1]).replace(/\D/g, "").slice(0, 4) : "";
+  if (ws._slots.phone && lastFourDigits.length === 4) ws._slots.phone = ws._slots.phone.slice(0, -4) + lastFourDigits;
   
-  // NAME: Context-aware capture
+  // NAME: spelled out ("M-E-T-Z-G-E-R"), possibly across utterances; wins over the transcribed spelling
+  const spellingActive = ws._spelling && Date.now() - ws._spelling.at < SPOKEN_CONTINUE_MS;
+  const letters = (askedName || spellingActive || namePart) ? spelledLetters(originalText, spellingActive ? 1 : 3) : "";
+  if (letters) applySpelling(ws, letters, namePart, spellingActive && !/\b(first|last|sur)\s*name\b/i.test(originalText));
+  else ws._spelling = null;
+  // One-word answer to "your first/last name?"
+  const oneWord = originalText.replace(/[.!?,]+$/, "");
+  if (!letters && namePart && /^[A-Z][a-z'-]+$/.test(oneWord) && !NOT_A_NAME.test(oneWord)) setNameWord(ws, oneWord, namePart);
+
   // If agent just asked for name and user responds with words (no other pattern matched)
-  if (!ws._slots.name && /\b(your name|name|who am i speaking with)\b/.test(lastAgentText)) {
+  if (!letters && !ws._slots.name && askedName) {
     // Look for name patterns: "Cameron Metzger", "I'm John", "John Smith", etc.
-    const nameMatch = originalText.match(/\b([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)\b/);
+    // Skipping contractions and filler ("It's Cameron …" isn't a caller named "It")
+    const nameMatch = [...originalText.matchAll(/\b([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)\b(?!')/g)]
+      .find(m => !FILLER_WORD.test(m[1].split(" ")[0]) && !NOT_A_NAME.test(m[1].split(" ")[0]));
     if (nameMatch && nameMatch[1].split(' ').length <= 3) { // Max 3 words for name
       ws._slots.name = nameMatch[1].trim();
     }
   }
   // Explicit name patterns
-  const mName = text.match(/\b(?:i[' ]?m|this is|my name is|name['\s]?s)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/i);
-  if (mName) ws._slots.name = mName[1].trim();
+  const mName = originalText.match(/\b(?:i[' ]?m|this is|my name is|name['\s]?s)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/i);
+  if (mName && !NOT_A_NAME.test(mName[1].split(" ")[0])) ws._slots.name = mName[1].trim();
+
+  // CORRECTIONS: "no, it's Metzger with a Z" / "Metzger with a Z" / "Smyth, not Smith" / "not Smith, Smyth"
+  const fix = originalText.match(/\b(?:no|nope|actually|sorry)\b[,.!]?\s+(?:it'?s|it is|that'?s|i said)\s+([A-Za-z][A-Za-z'-]+)(?:\s+with\s+(?:an?\s+)?([a-z])\b)?/i)
+    || originalText.match(/\b([A-Za-z][A-Za-z'-]+)\s+with\s+an?\s+([a-z])(?=\s*(?:[.,!?]|$))/i);
+  if (fix && !NOT_A_NAME.test(fix[1]) && !FILLER_WORD.test(fix[1]) && !isNumberWord(fix[1]) && ws._slots.name) {
+    const word = fix[2] ? withLetter(fix[1], fix[2]) : fix[1];
+    const words = ws._slots.name.split(/\s+/);
+    if (askedName || namePart || words.some(w => w[0]?.toLowerCase() === word[0].toLowerCase())) setNameWord(ws, word, namePart);
+  }
+  const WORD = "([A-Za-z][A-Za-z'-]+|\\d+)";
+  let right = "", wrong = "", m;
+  if ((m = spoken.match(new RegExp(`\\bnot\\s+${WORD},?\\s+(?:but\\s+|it'?s\\s+)?${WORD}\\b`, "i")))) [wrong, right] = [m[1], m[2]];
+  else if ((m = spoken.match(new RegExp(`\\b${WORD},?\\s+not\\s+${WORD}\\b`, "i")))) [right, wrong] = [m[1], m[2]];
+  if (right && !NOT_A_NAME.test(right) && !FILLER_WORD.test(right)) {
+    if (/^\d+$/.test(wrong) && /^\d+$/.test(right) && wrong.length === right.length && ws._slots.phone.includes(wrong)) {
+      ws._slots.phone = ws._slots.phone.replace(wrong, right);
+    } else if (!/^\d+$/.test(right) && ws._slots.name && new RegExp(`\\b${wrong}\\b`, "i").test(ws._slots.name)) {
+      ws._slots.name = ws._slots.name.replace(new RegExp(`\\b${wrong}\\b`, "i"), capWord(right));
+    }
+  }
   
   // SERVICE: Liberal matching
   if (/\b(buy|buyer|buying|purchase|look.*buy)\b/.test(t)) ws._slots.service = "buyer";
@@ -878,10 +2934,13 @@ function extractSlots(ws, text){
     ws._slots.meeting_type = "virtual";
   }
   
-  // LOCATION: Only if in-person
-  const mAddr = text.match(/\b\d{2,5}\s+[A-Za-z0-9.\- ]{3,40}\b/);
-  if (mAddr && ws._slots.meeting_type === "in-person") {
-    ws._slots.location = mAddr[0];
+  // LOCATION: Only if in-person; street numbers may be spoken ("twelve thirty four Elm Street"), but a spoken number only
+  // counts next to a street type, or "at two thirty on Friday" would become "230 on Friday"
+  const mStreet = spoken.match(/\b\d{1,6}\s+(?:[A-Za-z0-9.'-]+\s+){0,4}?(?:street|st|avenue|ave|road|rd|drive|dr|lane|ln|way|boulevard|blvd|court|ct|place|pl|circle|terrace|parkway|pkwy|highway|hwy)\b\.?/i);
+  const mAddr = mStreet || originalText.match(/(?<![\d:])\b\d{2,5}\s+[A-Za-z0-9.\- ]{3,40}\b/);
+  const looksLikeTime = m => /^\d+\s+(?:am|pm|a\.m|p\.m|o'?clock|in the|minutes?|hours?|days?|weeks?|people)\b/i.test(m);
+  if (mAddr && !looksLikeTime(mAddr[0]) && ws._slots.meeting_type === "in-person") {
+    ws._slots.location = mAddr[0].trim();
   }
   // "office" location
   if (/\b(your office|the office|at office)\b/.test(t) && ws._slots.meeting_type === "in-person") {
@@ -902,80 +2961,440 @@ function scratchpadMessage(ws){
   return { role:"system", content: lines };
 }
 
+/* ===== Conversation history: what each turn sends from ws._mem =====
+   - Units: a caller line, an agent line, or an assistant tool_calls message together with every tool
+     response it got; a unit is sent whole or not at all (tool calls still awaiting responses are left out)
+   - Newest units first, until HISTORY_TOKEN_BUDGET (≈ chars/4) is spent; the latest unit always goes
+   - Units that fall out of the window are condensed once into ws._historySummary, sent as one system message
+   - The summary gets at most HISTORY_SUMMARY_SHARE of the budget, so recent turns always keep the rest; past that
+     its oldest caller/agent lines are dropped first, tool lines last, and the message says how many went
+   - Back-to-back repeats (same role and text, e.g. a re-sent STT final) are sent once
+   - A reply the caller talked over (interrupted, set by bargeIn) is followed by a CUT_OFF_NOTE system message */
+const HISTORY_LINE_CHARS = 200;
+const HISTORY_SUMMARY_SHARE = 0.25;
+
+function estimateTokens(m){
+  return 4 + Math.ceil(((m.content || "").length + JSON.stringify(m.tool_calls || "").length) / 4);
+}
+// Stored message → what the API gets (bookkeeping flags stay in ws._mem)
+function llmMessage(m){
+  const { interrupted, ...msg } = m;
+  return msg;
+}
+function historyUnits(mem){
+  const units = [];
+  for (let i = 0; i < mem.length; i++) {
+    const m = mem[i], start = i; // start: where the unit begins in mem, before i walks past its tool responses
+    if (m.role === "tool") continue; // orphan response: its call was dropped or never stored
+    if (m.role === "assistant" && m.tool_calls?.length) {
+      const ids = new Set(m.tool_calls.map(tc => tc.id));
+      const responses = [];
+      while (mem[i+1]?.role === "tool") { const r = mem[++i]; if (ids.has(r.tool_call_id)) responses.push(r); }
+      const complete = m.tool_calls.every(tc => responses.some(r => r.tool_call_id === tc.id));
+      units.push({ messages: complete ? [m, ...responses] : (m.content ? [{ role:"assistant", content:m.content, interrupted:m.interrupted }] : []), start });
+      continue;
+    }
+    if (!m.content) continue; // placeholder of a reply still streaming
+    const prev = units.at(-1)?.messages;
+    if (prev?.length === 1 && prev[0].role === m.role && prev[0].content === m.content) continue;
+    units.push({ messages:[m], start });
+  }
+  return units.filter(u => u.messages.length);
+}
+function condenseUnit(u){
+  const clip = s => { s = String(s || "").replace(/\s+/g, " ").trim(); return s.length > HISTORY_LINE_CHARS ? s.slice(0, HISTORY_LINE_CHARS - 1) + "…" : s; };
+  const [m, ...responses] = u.messages;
+  if (m.role === "user") return [`Caller: ${clip(m.content)}`];
+  const lines = m.content ? [`Agent${m.interrupted ? " (cut off)" : ""}: ${clip(m.content)}`] : [];
+  for (const tc of m.tool_calls || []) {
+    let result = {};
+    try { result = JSON.parse(responses.find(r => r.tool_call_id === tc.id)?.content || "{}"); } catch {}
+    lines.push(`Tool ${tc.function?.name} ${clip(tc.function?.arguments)} → ${result.ok ? "ok" : `failed ${result.error || ""}`} ${clip(JSON.stringify(result))}`);
+  }
+  return lines;
+}
+function summaryMessage(ws){
+  const { lines, tools } = ws._historyDropped;
+  if (!ws._historySummary.length && !lines) return null;
+  const dropped = lines ? [`(${lines} older line(s) dropped to stay within the history budget, including ${tools} tool result(s))`] : [];
+  return { role:"system", content:["Earlier in this call (condensed, oldest first):", ...dropped, ...ws._historySummary].join("\n") };
+}
+function trimSummary(ws, maxTokens){
+  while (ws._historySummary.length && estimateTokens(summaryMessage(ws)) > maxTokens) {
+    const chat = ws._historySummary.findIndex(l => !l.startsWith("Tool "));
+    const [line] = ws._historySummary.splice(chat < 0 ? 0 : chat, 1);
+    ws._historyDropped.lines++;
+    if (line.startsWith("Tool ")) ws._historyDropped.tools++;
+  }
+}
+function conversationHistory(ws){
+  const units = historyUnits(ws._mem.slice(ws._historyCut));
+  const cap = Math.floor(HISTORY_TOKEN_BUDGET * HISTORY_SUMMARY_SHARE);
+  const summary = summaryMessage(ws);
+  const unitCost = u => u.messages.reduce((a,m)=> a + estimateTokens(m), 0) + (u.messages[0].interrupted ? estimateTokens({ content:CUT_OFF_NOTE }) : 0);
+  // Once anything is condensed, the window keeps the budget minus the summary's share
+  const fits = !summary && units.reduce((a,u)=> a + unitCost(u), 0) <= HISTORY_TOKEN_BUDGET;
+  const room = fits ? HISTORY_TOKEN_BUDGET : HISTORY_TOKEN_BUDGET - cap;
+  let used = 0, first = units.length;
+  while (first > 0) {
+    const cost = unitCost(units[first-1]);
+    if (first < units.length && used + cost > room) break;
+    used += cost;
+    first--;
+  }
+  if (first > 0) {
+    for (const u of units.slice(0, first)) ws._historySummary.push(...condenseUnit(u));
+    ws._historyCut += units[first].start;
+    log("[HISTORY] condensed", first, "older unit(s); summary lines:", ws._historySummary.length);
+  }
+  trimSummary(ws, Math.min(cap, HISTORY_TOKEN_BUDGET - used));
+  const window = units.slice(first).flatMap(u => [
+    ...u.messages.map(llmMessage),
+    ...(u.messages[0].interrupted ? [{ role:"system", content:CUT_OFF_NOTE }] : [])
+  ]);
+  const condensed = summaryMessage(ws);
+  return condensed ? [condensed, ...window] : window;
+}
+
+/* ===== Call finalization: runs exactly once per call, whatever ends it =====
+   endReason: caller_hangup | transferred | agent_ended | error */
+function callCost(ws){
+  // Twilio Voice: $0.0140 per minute for US outbound
+  // LLM: LLM_COST_PER_1K blended rate (gpt-4o-mini: ~$0.00015 in / ~$0.00060 out per 1K → $0.000375 average)
+  const durationSeconds = ws._startTime ? Math.floor((Date.now() - ws._startTime.getTime()) / 1000) : 0;
+  const twilioCost = (durationSeconds / 60) * 0.0140;
+  const openaiCost = (ws._totalTokens / 1000) * LLM_COST_PER_1K;
+  return { durationSeconds, twilioCost, openaiCost, totalCost: twilioCost + openaiCost };
+}
+function callOutcome(ws, endReason){
+  if (ws._lastBooked) return "appointment_booked";
+  if (endReason === "transferred") return "transferred";
+  return "inquiry";
+}
+async function finalizeCall(ws, endReason, detail=""){
+  if (ws._finalized || !ws._startTime) return;
+  ws._finalized = true;
+
+  const { durationSeconds, twilioCost, openaiCost, totalCost } = callCost(ws);
+  const summary = {
+    callSid: ws._callSid,
+    tenant: tenantOf(ws).id,
+    direction: ws._outbound ? "outbound" : "inbound",
+    purpose: ws._outbound?.purpose || undefined,
+    from: ws._from,
+    slots: ws._slots,
+    transcript: ws._mem.filter(m => (m.role === 'user' || m.role === 'assistant') && m.content).map(m =>
+      `${m.role === 'user' ? 'Caller' : 'Agent'}: ${m.content}`
+    ).join('\n'),
+    outcome: callOutcome(ws, endReason),
+    endReason,
+    endDetail: detail,
+    promptVersion: ws._promptVersion || undefined,
+    promptVariant: ws._promptVariant || undefined,
+    duration: durationSeconds,
+    cost: totalCost.toFixed(4),
+    costBreakdown: {
+      twilio: twilioCost.toFixed(4),
+      openai: openaiCost.toFixed(4),
+      tokens: ws._totalTokens
+    }
+  };
+
+  callEvent(ws, "end", { endReason, outcome: summary.outcome, duration: durationSeconds });
+  inc(M.calls, { tenant: summary.tenant, direction: summary.direction, outcome: summary.outcome, end_reason: endReason });
+  observe(M.callSeconds, { tenant: summary.tenant }, durationSeconds);
+  if (ws._promptVariant) inc(M.variantCalls, { tenant: summary.tenant, variant: ws._promptVariant, outcome: summary.outcome });
+  inc(M.costUsd, { component:"twilio" }, twilioCost);
+  inc(M.costUsd, { component:"llm" }, openaiCost);
+  callHistoryWrite({
+    ...summary,
+    startedAt: ws._startTime.toISOString(),
+    endedAt: new Date().toISOString(),
+    afterHours: isAfterHoursCall(ws),
+    messages: ws._mem,
+    tools: ws._toolLog,
+    turns: ws._turnTimings.map(t => ({
+      at: new Date(t.llmStart).toISOString(),
+      fromStt: t.fromStt,
+      firstTokenMs: t.firstToken ? t.firstToken - t.sttFinal : null,
+      firstAudioMs: t.firstAudio ? t.firstAudio - t.sttFinal : null
+    }))
+  });
+  log("[FINALIZE]", ws._callSid, endReason, "| Duration:", durationSeconds, "s | Cost: $" + totalCost.toFixed(4), "(Twilio: $" + twilioCost.toFixed(4) + ", OpenAI: $" + openaiCost.toFixed(4) + ")");
+  const T = tenantOf(ws);
+  const kinds = ["CALL_SUMMARY", "FAQ_LOG"].filter(k => T.urls[k]);
+  const results = await Promise.all(kinds.map(k => outboxPost(T, k, summary)));
+  results.forEach((r,i)=>{
+    if (r.ok) log("[FINALIZE] ✅", kinds[i], "sent");
+    else log("[FINALIZE] ⚠️", kinds[i], r.queued ? "queued for retry:" : "failed:", r.error);
+  });
+}
+
+/* ===== Call history: every finished call on local disk, for debugging after the fact =====
+   - One JSON line per call in DATA_DIR/calls/<YYYY-MM-DD>.jsonl (UTC day the call started)
+   - Full record: summary fields + messages (incl. tool calls), tool invocations with results and ms,
+     per-turn latency and the prompt version; files older than CALL_HISTORY_DAYS are pruned
+   - GET /api/calls?from=&to=&caller=&outcome=&tenant=&limit=&cursor=   (dates YYYY-MM-DD, newest first, no messages;
+     a full page carries nextCursor, passed back as cursor for the next one)
+   - GET /api/calls/:callSid                                             (full record)
+   - Files are streamed line by line, never read whole: a busy day's file can be large */
+const CALL_HISTORY_DIR = path.join(DATA_DIR, "calls");
+const CALL_DAY_RE = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+function callHistoryWrite(record){
+  if (!CALL_HISTORY) return;
+  try {
+    fs.mkdirSync(CALL_HISTORY_DIR, { recursive:true });
+    fs.appendFileSync(path.join(CALL_HISTORY_DIR, `${(record.startedAt || new Date().toISOString()).slice(0, 10)}.jsonl`), JSON.stringify(record) + "\n");
+  } catch(e){
+    log.error("[HISTORY] write failed:", record.callSid, e?.message);
+  }
+}
+function callHistoryDays(){
+  try { return fs.readdirSync(CALL_HISTORY_DIR).map(f => f.match(CALL_DAY_RE)?.[1]).filter(Boolean).sort().reverse(); }
+  catch { return []; }
+}
+// One day's records in file (oldest first) order, with their line index
+async function* callHistoryRecords(day){
+  const lines = readline.createInterface({ input: fs.createReadStream(path.join(CALL_HISTORY_DIR, `${day}.jsonl`)), crlfDelay: Infinity });
+  let i = -1;
+  try {
+    for await (const line of lines) {
+      i++;
+      if (!line.trim()) continue;
+      let call;
+      try { call = JSON.parse(line); } catch { continue; } // torn line after a crash
+      yield { i, call };
+    }
+  } catch(e){
+    if (e?.code !== "ENOENT") log.warn("[HISTORY] read failed:", day, e?.message); // pruned between listing and reading
+  } finally {
+    lines.close();
+  }
+}
+function callHistoryPrune(){
+  const cutoff = new Date(Date.now() - CALL_HISTORY_DAYS * 86400000).toISOString().slice(0, 10);
+  for (const day of callHistoryDays()) {
+    if (day >= cutoff) continue;
+    try { fs.rmSync(path.join(CALL_HISTORY_DIR, `${day}.jsonl`)); log("[HISTORY] pruned", day); } catch {}
+  }
+}
+
+app.get("/api/calls", requireAdmin, async (req,res)=>{
+  const { from="", to="", caller="", outcome="", tenant="" } = req.query;
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+  const cursor = String(req.query.cursor || "").match(/^(\d{4}-\d{2}-\d{2}):(\d+)$/); // "<day>:<line>": calls older than it
+  if (req.query.cursor && !cursor) return res.status(400).json({ ok:false, error:"BAD_CURSOR" });
+  const dayOk = d => (!from || d >= String(from).slice(0, 10)) && (!to || d <= String(to).slice(0, 10)) && (!cursor || d <= cursor[1]);
+  const callerDigits = String(caller).replace(/\D/g, "");
+  const calls = [];
+  let nextCursor = null;
+  for (const day of callHistoryDays().filter(dayOk)) {
+    // Files are oldest first: keep the newest matches this page still has room for, then walk them backwards
+    const room = limit - calls.length, matches = [];
+    for await (const { i, call:c } of callHistoryRecords(day)) {
+      if (cursor && day === cursor[1] && i >= Number(cursor[2])) break;
+      if (outcome && c.outcome !== outcome) continue;
+      if (tenant && c.tenant !== tenant) continue;
+      if (callerDigits && !String(c.from || "").replace(/\D/g, "").endsWith(callerDigits)) continue;
+      const { messages, tools, turns, ...summary } = c;
+      matches.push({ i, summary:{ ...summary, toolCalls: tools?.length || 0 } });
+      if (matches.length > room) matches.shift();
+    }
+    for (const m of matches.reverse()) {
+      calls.push(m.summary);
+      if (calls.length >= limit) { nextCursor = `${day}:${m.i}`; break; }
+    }
+    if (nextCursor) break;
+  }
+  res.json({ ok:true, count:calls.length, calls, nextCursor });
+});
+// Per prompt variant: calls, outcomes and booking rate over the history window (from/to YYYY-MM-DD)
+app.get("/api/prompt-variants", requireAdmin, async (req,res)=>{
+  const { from="", to="", tenant="" } = req.query;
+  const dayOk = d => (!from || d >= String(from).slice(0, 10)) && (!to || d <= String(to).slice(0, 10));
+  const rows = new Map();
+  for (const day of callHistoryDays().filter(dayOk)) {
+    for await (const { call:c } of callHistoryRecords(day)) {
+      if (!c.promptVariant || (tenant && c.tenant !== tenant)) continue;
+      const key = `${c.tenant}|${c.promptVariant}`;
+      const r = rows.get(key) || { tenant:c.tenant, variant:c.promptVariant, calls:0, booked:0, outcomes:{}, versions:[] };
+      r.calls++;
+      if (c.outcome === "appointment_booked") r.booked++;
+      r.outcomes[c.outcome] = (r.outcomes[c.outcome] || 0) + 1;
+      if (c.promptVersion && !r.versions.includes(c.promptVersion)) r.versions.push(c.promptVersion);
+      rows.set(key, r);
+    }
+  }
+  const variants = [...rows.values()].map(r => ({ ...r, bookingRate: +(r.booked / r.calls).toFixed(4) }));
+  res.json({ ok:true, variants });
+});
+app.get("/api/calls/:callSid", requireAdmin, async (req,res)=>{
+  for (const day of callHistoryDays()) {
+    for await (const { call } of callHistoryRecords(day)) {
+      if (call.callSid === req.params.callSid) return res.json({ ok:true, call });
+    }
+  }
+  res.status(404).json({ ok:false, error:"NOT_FOUND" });
+});
+
+callHistoryPrune();
+setInterval(callHistoryPrune, 6 * 3600 * 1000).unref();
+
+/* ===== ReceptorX calendar read (shared by read_availability / find_open_slots) ===== */
+async function calRead(T, startISO, endISO){
+  const payload = {
+    intent: "READ",  // ✅ Required by your legacy endpoint
+    timezone: T.tz,  // ✅ Required: "America/New_York"
+    window: {
+      start: startISO,
+      end: endISO
+    },
+    userId: T.userId
+  };
+
+  log("[CAL][read] Calling:", T.urls.CAL_READ);
+  log.payload("[CAL][read] Payload:", payload);
+
+  // POST to your existing read endpoint
+  const { data } = await dashPost("cal_read", T.urls.CAL_READ, payload, { timeout:12000 });
+  return { available: data.available, conflicts: data.conflicts || [] };
+}
+
 /* ===== ✅ RECEPTORX TOOLS ===== */
 const Tools = {
   // Check calendar availability using your existing DASH_CAL_READ_URL
-  async read_availability(args){
-    if (!URLS.CAL_READ) {
-      log("[ERROR] DASH_CAL_READ_URL not configured!");
+  async read_availability(args, ws){
+    const T = tenantOf(ws);
+    if (!T.urls.CAL_READ) {
+      log.error("[ERROR] DASH_CAL_READ_URL not configured!");
       return { ok:false, error:"CAL_READ_URL_MISSING" };
     }
     
     try {
-      const { startISO, endISO } = args || {};
-      if (!startISO || !endISO) return { ok:false, error:"MISSING_TIME_WINDOW" };
-
-      const payload = {
-        intent: "READ",  // ✅ Required by your legacy endpoint
-        timezone: BIZ_TZ,  // ✅ Required: "America/New_York"
-        window: {
-          start: startISO,
-          end: endISO
-        },
-        userId: RECEPTORX_USER_ID
-      };
-
-      log("[TOOL][read_availability] Calling:", URLS.CAL_READ);
-      log("[TOOL][read_availability] Payload:", JSON.stringify(payload));
+      const w = resolveWindow(T, args?.startISO, args?.endISO, { service: ws?._slots?.service });
+      if (!w.ok) { log("[TOOL][read_availability] ⛔", w.error, args?.startISO); return w; }
+      const closed = checkBusinessHours(T, w.start, w.end);
+      if (closed) { log("[TOOL][read_availability] ⛔", closed.reason, w.startISO); return closed; }
 
-      // POST to your existing read endpoint
-      const { data } = await httpPost(URLS.CAL_READ, payload, { timeout:12000 });
+      const data = await calRead(T, w.startISO, w.endISO);
+      if (data.available) markWindowFree(ws, w.start, w.end);
       
-      log("[TOOL][read_availability] ✅ Success:", JSON.stringify({ available: data.available, conflicts: data.conflicts?.length || 0 }));
+      log("[TOOL][read_availability] ✅ Success:", JSON.stringify({ available: data.available, conflicts: data.conflicts.length }));
       return { 
         ok: true, 
         available: data.available, 
-        conflicts: data.conflicts || []
+        conflicts: data.conflicts,
+        startISO: w.startISO,
+        endISO: w.endISO
       };
     } catch(e){
       log("[TOOL][read_availability] ❌ FAILED");
-      log("  URL:", URLS.CAL_READ);
-      log("  Status:", e?.response?.status || "NO_RESPONSE");
-      log("  Error:", e?.message);
-      log("  Response data:", e?.response?.data);
+      log.error("  URL:", T.urls.CAL_READ);
+      log.error("  Status:", e?.response?.status || "NO_RESPONSE");
+      log.error("  Error:", e?.message);
+      log.error("  Response data:", e?.response?.data);
       return { ok:false, status:e.response?.status||0, error:"READ_FAILED", message: e?.response?.data?.message || e?.message };
     }
   },
 
-  // Book appointment using your existing DASH_CAL_CREATE_URL
-  async book_appointment(args){
-    if (!URLS.CAL_CREATE) return { ok:false, error:"CAL_CREATE_URL_MISSING" };
+  // Next N verified-open windows inside business hours; the agent offers only these
+  async find_open_slots(args, ws){
+    const T = tenantOf(ws);
+    if (!T.urls.CAL_READ) return { ok:false, error:"CAL_READ_URL_MISSING" };
+    try {
+      const now = new Date();
+      const durationMinutes = Number(args?.durationMinutes) || serviceMinutes(T, ws?._slots?.service);
+      if (args?.durationMinutes != null && (durationMinutes < SLOT_MIN_MINUTES || durationMinutes > SLOT_MAX_MINUTES)) {
+        return { ok:false, error:"BAD_DURATION", message:`durationMinutes must be between ${SLOT_MIN_MINUTES} and ${SLOT_MAX_MINUTES}` };
+      }
+      const count = Math.min(Math.max(Number(args?.count) || 3, 1), 10);
+      let from = args?.fromISO ? parseWhen(args.fromISO, T.tz) : now;
+      if (!from) return { ok:false, error:"BAD_FROM_ISO", message:"fromISO must look like 2025-10-16T14:00:00" };
+      if (from < now) from = now;
+      let to = args?.toISO ? parseWhen(args.toISO, T.tz) : new Date(from.getTime() + 7*86400000);
+      if (!to) return { ok:false, error:"BAD_TO_ISO", message:"toISO must look like 2025-10-16T17:00:00" };
+      to = new Date(Math.min(to.getTime(), from.getTime() + SLOT_SEARCH_MAX_DAYS*86400000));
+      if (to <= from) return { ok:false, error:"EMPTY_SEARCH_WINDOW" };
+
+      const candidates = candidateSlots(T, from, to, durationMinutes);
+      if (!candidates.length) return { ok:true, slots:[], message:"No business hours in that range" };
+
+      // One read for the whole range; if it is busy but the conflicts come back without usable times (or none at
+      // all), probe candidates one by one
+      const range = await calRead(T, toLocalISO(from, T.tz), toLocalISO(to, T.tz));
+      const busy = range.conflicts.map(c => busyInterval(c, T.tz));
+      const pad = T.bufferMinutes * 60000;
+      const slots = [];
+      if (busy.every(Boolean) && (range.available || busy.length)) {
+        for (const c of candidates) {
+          if (busy.some(b => c.start < b.end + pad && c.end > b.start - pad)) continue;
+          slots.push(c);
+          if (slots.length >= count) break;
+        }
+      } else {
+        log("[TOOL][find_open_slots] conflicts lack times, probing candidates");
+        for (const c of candidates.slice(0, count * 4)) {
+          const r = await calRead(T, toLocalISO(new Date(c.start - pad), T.tz), toLocalISO(new Date(c.end + pad), T.tz));
+          if (r.available) slots.push(c);
+          if (slots.length >= count) break;
+        }
+      }
+
+      for (const c of slots) markWindowFree(ws, new Date(c.start), new Date(c.end));
+      log("[TOOL][find_open_slots] ✅ Found:", slots.length, "of", count, "requested");
+      return {
+        ok: true,
+        slots: slots.map(c => ({
+          startISO: toLocalISO(new Date(c.start), T.tz),
+          endISO: toLocalISO(new Date(c.end), T.tz),
+          spoken: spokenTime(new Date(c.start), T.tz)
+        }))
+      };
+    } catch(e){
+      log("[TOOL][find_open_slots] ❌ Failed:", e?.response?.status, e?.response?.data?.message || e?.message);
+      return { ok:false, status:e.response?.status||0, error:"SLOT_SEARCH_FAILED", message: e?.response?.data?.message || e?.message };
+    }
+  },
+
+  // Book appointment using your existing DASH_CAL_CREATE_URL; reschedule_appointment books with { reschedule:true },
+  // having checked the window itself, and is exempt from the one-booking-per-caller rule
+  async book_appointment(args, ws, { reschedule=false } = {}){
+    const T = tenantOf(ws);
+    if (!T.urls.CAL_CREATE) return { ok:false, error:"CAL_CREATE_URL_MISSING" };
     try {
       const { name, phone, service, startISO, endISO, meeting_type, location, title, notes } = args;
+      const w = resolveWindow(T, startISO, endISO, { service });
+      if (!w.ok) { log("[TOOL][book_appointment] ⛔", w.error, startISO); return w; }
+      const closed = checkBusinessHours(T, w.start, w.end);
+      if (closed) { log("[TOOL][book_appointment] ⛔", closed.reason, w.startISO); return closed; }
+      const refused = reschedule ? null : bookingGuard(ws, w, phone);
+      if (refused) { log("[TOOL][book_appointment] ⛔", refused.error, w.startISO); return refused; }
+      const idempotencyKey = bookingIdempotencyKey(ws, phone, w);
       
-      // Convert ISO to local time format that ReceptorX expects: 'YYYY-MM-DD HH:mm'
-      const startLocal = startISO.replace('T', ' ').substring(0, 16);
-      const endLocal = endISO ? endISO.replace('T', ' ').substring(0, 16) : '';
-      
-      // ReceptorX expects this exact format
+      // ReceptorX expects wall-clock 'YYYY-MM-DD HH:mm' in the business timezone
       const payload = {
         Event_Name: title,
-        Timezone: BIZ_TZ,
-        Start_Time_Local: startLocal,
-        End_Time_Local: endLocal || undefined,
+        Timezone: T.tz,
+        Start_Time_Local: toLocalYmdHm(w.start, T.tz),
+        End_Time_Local: toLocalYmdHm(w.end, T.tz),
         Customer_Name: name,
         Customer_Phone: phone,
         Notes: notes || `Service: ${service}. Type: ${meeting_type}. Location: ${location || 'N/A'}.`,
-        source: DASH_SRC
+        source: T.source,
+        Idempotency_Key: idempotencyKey
       };
       
-      log("[TOOL][book_appointment] Calling:", URLS.CAL_CREATE);
-      log("[TOOL][book_appointment] Payload:", JSON.stringify(payload));
+      log("[TOOL][book_appointment] Calling:", T.urls.CAL_CREATE);
+      log.payload("[TOOL][book_appointment] Payload:", payload);
       
-      const { data } = await httpPost(URLS.CAL_CREATE, payload, { timeout:12000 });
+      const { data } = await dashPost("cal_create", T.urls.CAL_CREATE, payload, { timeout:12000, headers:{ "Idempotency-Key": idempotencyKey } });
       
       if (data.ok) {
         log("[TOOL][book_appointment] ✅ Success:", JSON.stringify({ id: data.event_id }));
+        // Remembered so a change of mind in this call can reschedule_appointment it
+        ws?._bookings?.push({ appointmentId: data.event_id, phone, startTime: data.start_local || w.startISO });
+        ws?._events?.set(String(data.event_id), { event_id: String(data.event_id), title, start: w.startISO, end: w.endISO, location: location || "" });
         return { 
           ok: true, 
           appointmentId: data.event_id,
@@ -996,8 +3415,9 @@ const Tools = {
   },
 
   // Cancel appointment using your existing DASH_CAL_CANCEL_URL
-  async cancel_appointment(args){
-    if (!URLS.CAL_CANCEL) return { ok:false, error:"CAL_CANCEL_URL_MISSING" };
+  async cancel_appointment(args, ws){
+    const T = tenantOf(ws);
+    if (!T.urls.CAL_CANCEL) return { ok:false, error:"CAL_CANCEL_URL_MISSING" };
     try {
       const event_id = args.event_id;
       if (!event_id) return { ok:false, error:"MISSING_EVENT_ID" };
@@ -1007,13 +3427,17 @@ const Tools = {
         event_id: event_id
       };
       
-      log("[TOOL][cancel_appointment] Calling:", URLS.CAL_CANCEL);
-      log("[TOOL][cancel_appointment] Payload:", JSON.stringify(payload));
+      log("[TOOL][cancel_appointment] Calling:", T.urls.CAL_CANCEL);
+      log.payload("[TOOL][cancel_appointment] Payload:", payload);
       
-      const { data } = await httpPost(URLS.CAL_CANCEL, payload, { timeout:12000 });
+      const { data } = await dashPost("cal_cancel", T.urls.CAL_CANCEL, payload, { timeout:12000 });
       
       const ok = data?.ok || data?.cancelled;
       log("[TOOL][cancel_appointment]", ok ? "✅ Success" : "❌ Failed");
+      if (ok && ws?._bookings) {
+        ws._bookings = ws._bookings.filter(b => String(b.appointmentId) !== String(event_id));
+        ws._cancels++; // see bookingIdempotencyKey
+      }
       return { 
         ok: !!ok, 
         cancelled: !!ok,
@@ -1026,10 +3450,94 @@ const Tools = {
     }
   },
 
+  // Move an appointment: check → book new → cancel old; undo the new booking if the cancel fails
+  async reschedule_appointment(args, ws){
+    const T = tenantOf(ws);
+    if (!T.urls.CAL_READ || !T.urls.CAL_CREATE || !T.urls.CAL_CANCEL) return { ok:false, error:"RESCHEDULE_CONFIG_MISSING" };
+    const { event_id } = args || {};
+    if (!event_id) return { ok:false, error:"MISSING_EVENT_ID" };
+    const old = ws?._events.get(String(event_id));
+    if (!old) return { ok:false, error:"UNKNOWN_EVENT", message:"Use an event_id returned by find_customer_events in this call" };
+
+    // New window keeps the old appointment's length unless an end was given
+    const oldSpan = busyInterval(old, T.tz);
+    const w = resolveWindow(T, args.newStartISO, args.newEndISO, {
+      service: ws?._slots?.service, minutes: oldSpan ? (oldSpan.end - oldSpan.start) / 60000 : 0,
+      field:"newStartISO", endField:"newEndISO"
+    });
+    if (!w.ok) return { ...w, original:"unchanged" };
+    const closed = checkBusinessHours(T, w.start, w.end);
+    if (closed) return { ...closed, original:"unchanged" };
+    const newStartISO = w.startISO, newEndISO = w.endISO;
+
+    // The new booking's details: what this call learned, else what the old appointment has; checked up front so a
+    // gap (say, an outbound reminder with no name) stops the move before anything is booked or cancelled
+    const S = ws?._slots || {};
+    const bookArgs = {
+      name: S.name || eventDetail(old, "name"), phone: S.phone || eventDetail(old, "phone"), service: S.service || eventDetail(old, "service"),
+      startISO: newStartISO, endISO: newEndISO,
+      meeting_type: S.meeting_type || eventDetail(old, "meeting_type"), location: old.location || S.location || "",
+      title: old.title || `Appointment — ${S.name || eventDetail(old, "name")}`,
+      notes: `Rescheduled from ${old.start || "previous time"}. Location: ${old.location || "N/A"}.`
+    };
+    const invalid = checkToolArgs("book_appointment", bookArgs, ws);
+    if (invalid) {
+      log("[TOOL][reschedule_appointment] ⛔ missing details:", invalid.errors.map(e => e.field).join(","));
+      return { ok:false, error:"INVALID_ARGUMENTS", stage:"check", errors:invalid.errors, original:"unchanged",
+        message:`Not moved. Ask the caller for their ${invalid.errors.map(e => e.field.replace("_", " ")).join(", ")}, then call reschedule_appointment again.` };
+    }
+
+    // 1. The new window must be free — apart from the appointment being moved
+    try {
+      const r = await calRead(T, newStartISO, newEndISO);
+      const others = r.conflicts.filter(c => String(c?.event_id ?? c?.id ?? "") !== String(event_id));
+      if (!r.available && (others.length || !r.conflicts.length)) {
+        log("[TOOL][reschedule_appointment] ⚠️ New slot taken");
+        return { ok:false, error:"SLOT_TAKEN", stage:"check", conflicts:others, original:"unchanged" };
+      }
+    } catch(e){
+      log("[TOOL][reschedule_appointment] ❌ Availability check failed:", e?.response?.status, e?.message);
+      return { ok:false, status:e.response?.status||0, error:"READ_FAILED", stage:"check", original:"unchanged", message: e?.response?.data?.message || e?.message };
+    }
+
+    // 2. Book the new slot first, so a failure here leaves the caller's appointment untouched
+    const booked = await Tools.book_appointment(bookArgs, ws, { reschedule:true });
+    if (!booked.ok) {
+      log("[TOOL][reschedule_appointment] ❌ Booking new slot failed:", booked.error);
+      return { ok:false, error:booked.error || "CREATE_FAILED", stage:"book", original:"unchanged", message: booked.message };
+    }
+
+    // 3. Cancel the old one; if that fails, roll back the new booking
+    const cancelled = await Tools.cancel_appointment({ event_id }, ws);
+    if (!cancelled.ok) {
+      const undo = await Tools.cancel_appointment({ event_id: booked.appointmentId }, ws);
+      if (undo.ok) {
+        log("[TOOL][reschedule_appointment] ↩️ Cancel of old failed, new booking rolled back");
+        return { ok:false, error:"CANCEL_FAILED", stage:"cancel", rolledBack:true, original:"unchanged" };
+      }
+      log("[TOOL][reschedule_appointment] ❌❌ Rollback failed — both", event_id, "and", booked.appointmentId, "are booked");
+      return { ok:false, error:"ROLLBACK_FAILED", stage:"rollback", rolledBack:false, original:"still booked", newAppointmentId: booked.appointmentId,
+        message:"Both the old and new appointments exist. Tell the caller a team member will sort it out." };
+    }
+
+    ws?._events.delete(String(event_id));
+    log("[TOOL][reschedule_appointment] ✅ Moved", event_id, "→", booked.appointmentId);
+    return {
+      ok: true,
+      rescheduled: true,
+      previousAppointmentId: event_id,
+      appointmentId: booked.appointmentId,
+      title: booked.title,
+      startTime: booked.startTime,
+      endTime: booked.endTime
+    };
+  },
+
   // Find customer events using ReceptorX search endpoint
-  async find_customer_events(args){
-    const SEARCH_URL = process.env.DASH_APPOINTMENTS_SEARCH_URL || 
-                      (URLS.CAL_CREATE ? URLS.CAL_CREATE.replace('/calendar/create', '/appointments/search') : '');
+  async find_customer_events(args, ws){
+    const T = tenantOf(ws);
+    const SEARCH_URL = T.urls.APPT_SEARCH || 
+                      (T.urls.CAL_CREATE ? T.urls.CAL_CREATE.replace('/calendar/create', '/appointments/search') : '');
     
     if (!SEARCH_URL) return { ok:false, error:"SEARCH_URL_MISSING" };
     
@@ -1037,19 +3545,21 @@ const Tools = {
       const { name, phone, days } = args;
       
       const payload = {
-        userId: RECEPTORX_USER_ID,
+        userId: T.userId,
         name: name,
         phone: phone,
         days: days || 30
       };
       
       log("[TOOL][find_customer_events] Calling:", SEARCH_URL);
-      log("[TOOL][find_customer_events] Payload:", JSON.stringify(payload));
+      log.payload("[TOOL][find_customer_events] Payload:", payload);
       
-      const { data } = await httpPost(SEARCH_URL, payload, { timeout:12000 });
+      const { data } = await dashPost("appt_search", SEARCH_URL, payload, { timeout:12000 });
       
       if (data.ok && data.events) {
         log("[TOOL][find_customer_events] ✅ Found:", data.events.length, "appointments");
+        // Remembered so reschedule_appointment can rebook with the same details
+        for (const ev of data.events) if (ev?.event_id) ws?._events.set(String(ev.event_id), ev);
         return { 
           ok: true, 
           events: data.events 
@@ -1065,8 +3575,9 @@ const Tools = {
   },
 
   // Upsert lead using your existing DASH_LEAD_UPSERT_URL
-  async lead_upsert(args){
-    if (!URLS.LEAD_UPSERT) return { ok:false, error:"LEAD_UPSERT_URL_MISSING" };
+  async lead_upsert(args, ws){
+    const T = tenantOf(ws);
+    if (!T.urls.LEAD_UPSERT) return { ok:false, error:"LEAD_UPSERT_URL_MISSING" };
     try {
       // ReceptorX expects lead object wrapped in payload
       const payload = {
@@ -1081,10 +3592,20 @@ const Tools = {
         source: "voice"
       };
 
-      log("[TOOL][lead_upsert] Calling:", URLS.LEAD_UPSERT);
-      log("[TOOL][lead_upsert] Payload:", JSON.stringify(payload));
+      log("[TOOL][lead_upsert] Calling:", T.urls.LEAD_UPSERT);
+      log.payload("[TOOL][lead_upsert] Payload:", payload);
       
-      const { data } = await httpPost(URLS.LEAD_UPSERT, payload, { timeout:8000 });
+      const r = await outboxPost(T, "LEAD_UPSERT", payload);
+      if (!r.ok && r.queued) {
+        // Dashboard is down — the outbox keeps retrying, the caller doesn't need to know
+        log("[TOOL][lead_upsert] ⏳ Queued for retry:", r.id);
+        return { ok:true, queued:true, name: args.name, phone: args.phone };
+      }
+      if (!r.ok) {
+        log("[TOOL][lead_upsert] ❌ Failed:", r.status, r.error);
+        return { ok:false, status:r.status||0, error:"LEAD_FAILED", message:r.error };
+      }
+      const data = r.data || {};
       
       log("[TOOL][lead_upsert] ✅ Success:", data.created ? "New lead" : "Existing lead");
       return { 
@@ -1095,31 +3616,31 @@ const Tools = {
         phone: args.phone
       };
     } catch(e){
-      log("[TOOL][lead_upsert] ❌ Failed:", e?.response?.status, e?.response?.data?.message || e?.message);
-      return { ok:false, status:e.response?.status||0, error:"LEAD_FAILED", message: e?.response?.data?.message || e?.message };
+      log("[TOOL][lead_upsert] ❌ Failed:", e?.message);
+      return { ok:false, status:0, error:"LEAD_FAILED", message: e?.message };
     }
   },
 
-  // ✅ UNCHANGED: FAQ logging (keep as is or send to ReceptorX calls endpoint)
-  async faq(args){
-    try {
-      if (URLS.FAQ_LOG) {
-        await httpPost(URLS.FAQ_LOG, { biz:DASH_BIZ, source:DASH_SRC, ...args }, { timeout:8000 });
-        log("[TOOL][faq] ok");
-      }
-    } catch(e){
-      log("[TOOL][faq] fail:", e?.message);
+  // FAQ logging — delivered through the outbox, so the model always gets ok
+  async faq(args, ws){
+    const T = tenantOf(ws);
+    if (T.urls.FAQ_LOG) {
+      const r = await outboxPost(T, "FAQ_LOG", { biz:T.biz, source:T.source, ...args });
+      (r.ok || r.queued ? log : log.warn)("[TOOL][faq]", r.ok ? "ok" : r.queued ? "queued" : `fail: ${r.error}`);
     }
     return { ok:true };
   },
 
-  // ✅ UNCHANGED: Transfer call (Twilio logic untouched)
-  async transfer(args){
+  // Transfer call; the redirect stops the media stream, so mark the end reason before asking Twilio
+  async transfer(args, ws){
     const callSid = args.callSid || "";
-    if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !OWNER_PHONE || !callSid) return { ok:false, error:"TRANSFER_CONFIG_MISSING" };
+    const T = tenantOf(ws);
+    if (isAfterHoursCall(ws) && !T.afterHours.allowTransfer) return { ok:false, error:"TRANSFER_UNAVAILABLE_AFTER_HOURS" };
+    if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !T.ownerPhone || !callSid) return { ok:false, error:"TRANSFER_CONFIG_MISSING" };
+    if (ws) ws._pendingEnd = "transferred";
     const host = process.env.RENDER_EXTERNAL_HOSTNAME || `localhost:${PORT}`;
-    const handoffUrl = `https://${host}/handoff`;
-    const url = `https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(TWILIO_ACCOUNT_SID)}/Calls/${encodeURIComponent(callSid)}.json`;
+    const handoffUrl = `https://${host}/handoff?tenant=${encodeURIComponent(T.id)}`;
+    const url = `${TWILIO_API_BASE}/2010-04-01/Accounts/${encodeURIComponent(TWILIO_ACCOUNT_SID)}/Calls/${encodeURIComponent(callSid)}.json`;
     const params = new URLSearchParams({ Url: handoffUrl, Method:"POST" });
     try {
       await httpPost(url, params, {
@@ -1128,101 +3649,27 @@ const Tools = {
         timeout:10000
       });
       log("[TOOL][transfer] ok");
+      if (ws) finalizeCall(ws, "transferred", args.reason || "");
       return { ok:true };
     } catch(e){
-      log("[TOOL][transfer] fail:", e?.response?.status, e?.response?.data?.message || e?.message);
+      if (ws) ws._pendingEnd = "";
+      log.error("[TOOL][transfer] fail:", e?.response?.status, e?.response?.data?.message || e?.message);
       return { ok:false, status:e.response?.status||0, error:"TRANSFER_FAILED", message: e?.response?.data?.message || e?.message };
     }
   },
 
-  // End call and send summary to ReceptorX
-  async end_call(args){
+  // End call — summary goes out via finalizeCall before hanging up
+  async end_call(args, ws){
     const callSid = args.callSid || "";
-    const reason = args.reason || "Call completed";
-    
-    // Send call summary to ReceptorX FIRST (before hanging up)
-    if (URLS.CALL_SUMMARY && args._wsContext) {
-      try {
-        const ws = args._wsContext;
-        
-        // Calculate call duration (in seconds)
-        const durationSeconds = ws._startTime ? Math.floor((Date.now() - ws._startTime.getTime()) / 1000) : 0;
-        
-        // Calculate costs
-        // Twilio Voice: $0.0140 per minute for US outbound
-        // OpenAI gpt-4o-mini: ~$0.00015 per 1K input tokens, ~$0.00060 per 1K output tokens
-        // Using average of $0.000375 per 1K tokens for simplicity
-        const twilioMinutes = durationSeconds / 60;
-        const twilioCost = twilioMinutes * 0.0140;
-        const openaiCost = (ws._totalTokens / 1000) * 0.000375;
-        const totalCost = twilioCost + openaiCost;
-        
-        const summary = {
-          callSid: callSid,
-          from: ws._from,
-          slots: ws._slots,
-          transcript: ws._mem.filter(m => m.role === 'user' || m.role === 'assistant').map(m => 
-            `${m.role === 'user' ? 'Caller' : 'Agent'}: ${m.content}`
-          ).join('\n'),
-          outcome: ws._lastBooked ? 'appointment_booked' : 'inquiry',
-          endReason: reason,
-          duration: durationSeconds,
-          cost: totalCost.toFixed(4),
-          costBreakdown: {
-            twilio: twilioCost.toFixed(4),
-            openai: openaiCost.toFixed(4),
-            tokens: ws._totalTokens
-          }
-        };
-        
-        log("[TOOL][end_call] Sending summary to:", URLS.CALL_SUMMARY);
-        log("[TOOL][end_call] Duration:", durationSeconds, "s | Cost: $" + totalCost.toFixed(4), "(Twilio: $" + twilioCost.toFixed(4) + ", OpenAI: $" + openaiCost.toFixed(4) + ")");
-        await httpPost(URLS.CALL_SUMMARY, summary, { timeout:5000 });
-        log("[TOOL][end_call] ✅ Summary sent");
-      } catch(e){
-        log("[TOOL][end_call] ⚠️ Summary failed:", e?.message);
-      }
-    }
-    
-    // Also log to DASH_CALL_LOG_URL if configured
-    if (URLS.FAQ_LOG && args._wsContext) {
-      try {
-        const ws = args._wsContext;
-        
-        // Calculate call duration and costs (same as summary above)
-        const durationSeconds = ws._startTime ? Math.floor((Date.now() - ws._startTime.getTime()) / 1000) : 0;
-        const twilioMinutes = durationSeconds / 60;
-        const twilioCost = twilioMinutes * 0.0140;
-        const openaiCost = (ws._totalTokens / 1000) * 0.000375;
-        const totalCost = twilioCost + openaiCost;
-        
-        // Send FULL call data including transcript, duration, and cost
-        await httpPost(URLS.FAQ_LOG, {
-          callSid: callSid,
-          from: ws._from,
-          slots: ws._slots,
-          transcript: ws._mem.filter(m => m.role === 'user' || m.role === 'assistant').map(m => 
-            `${m.role === 'user' ? 'Caller' : 'Agent'}: ${m.content}`
-          ).join('\n'),
-          outcome: ws._lastBooked ? 'appointment_booked' : 'inquiry',
-          endReason: args.reason || "Call completed",
-          duration: durationSeconds,
-          cost: totalCost.toFixed(4),
-          costBreakdown: {
-            twilio: twilioCost.toFixed(4),
-            openai: openaiCost.toFixed(4),
-            tokens: ws._totalTokens
-          }
-        }, { timeout:5000 });
-        log("[TOOL][end_call] ✅ Call logged with transcript, duration:", durationSeconds, "s, cost: $" + totalCost.toFixed(4));
-      } catch(e){
-        log("[TOOL][end_call] ⚠️ Call log failed:", e?.message);
-      }
+
+    if (ws) {
+      ws._pendingEnd = "agent_ended";
+      await finalizeCall(ws, "agent_ended", args.reason || "Call completed");
     }
-    
+
     // Now hang up the call
     if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !callSid) return { ok:false, error:"HANGUP_CONFIG_MISSING" };
-    const url = `https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(TWILIO_ACCOUNT_SID)}/Calls/${encodeURIComponent(callSid)}.json`;
+    const url = `${TWILIO_API_BASE}/2010-04-01/Accounts/${encodeURIComponent(TWILIO_ACCOUNT_SID)}/Calls/${encodeURIComponent(callSid)}.json`;
     const params = new URLSearchParams({ Status:"completed" });
     try {
       await httpPost(url, params, {
@@ -1239,9 +3686,20 @@ const Tools = {
   }
 };
 
-/* ===== ✅ UNCHANGED: Turn runner (LLM flow untouched) ===== */
+/* ===== Turn runner: one caller turn through the LLM, its tools and TTS =====
+   - Up to 6 hops; each streams its reply to TTS sentence by sentence, then runs the tool calls it asked for
+   - Tool arguments are validated before a tool runs; results go to the model and into ws._mem / ws._toolLog
+   - A barge-in mid-reply drops the unspoken rest (ws._ttsGen): the stored reply keeps only the sentences already sent to
+     TTS and is flagged interrupted
+   - A caller turn that arrives while one is running waits (ws._turnPending) and builds its history when it starts,
+     so it sees the running reply as stored, cut short if the caller barged in */
+async function callerTurn(ws){
+  const sys = systemMessages(await callPrompt(ws), ws);
+  if (ws._llmBusy) { ws._turnPending = true; return; }
+  runTurn(ws, [...sys, ...conversationHistory(ws)]);
+}
 async function runTurn(ws, baseMessages){
-  if (ws._llmBusy) { ws._turnQueue = baseMessages; return; }
+  if (ws._llmBusy) { ws._turnPending = true; return; }
   ws._llmBusy = true;
 
   try {
@@ -1250,23 +3708,45 @@ async function runTurn(ws, baseMessages){
       scratchpadMessage(ws)
     ];
 
+    const timing = { sttFinal: ws._lastFinalAt || Date.now(), fromStt: !!ws._lastFinalAt, llmStart: Date.now(), firstToken: 0, firstAudio: 0 };
+    ws._lastFinalAt = 0;
+    ws._turnTiming = timing;
+    ws._turnTimings.push(timing);
+    if (timing.fromStt) observe(M.sttToLlm, {}, (timing.llmStart - timing.sttFinal) / 1000);
+
     for (let hops=0; hops<6; hops++){
       log("[LLM] hop", hops, "msgs:", messages.length);
-      const choice = await openaiChat(messages, {}, ws); // Pass ws context for token tracking
-      const assistantMsg = choice?.message || {};
-      const text = (assistantMsg.content || "").trim();
-      const calls = assistantMsg.tool_calls || [];
-
-      if (text) {
-        log("[LLM] say:", text.slice(0, 140));
-        await speakULaw(ws, text);
-      }
 
       // CRITICAL FIX: Store the FULL assistant message including tool_calls
       // If we only store text, tool_calls are lost when conversation is reconstructed
+      // Stored before the first sentence is spoken so a barge-in can mark it as cut off
+      const assistantMsg = { role:"assistant", content:"" };
       ws._mem.push(assistantMsg);
+      const gen = ws._ttsGen;
+      const spoken = []; // sentences sent to TTS before any barge-in: all the caller can have heard
+      let speech = null;
+      const splitter = sentenceSplitter(sentence=>{
+        if (gen !== ws._ttsGen) return; // caller barged in: drop the rest of this reply
+        spoken.push(sentence);
+        log.payload("[LLM] say:", sentence);
+        callEvent(ws, "agent", { text: sentence });
+        speech = speakULaw(ws, sentence);
+      });
+
+      const choice = await llmChat(messages, { tools: toolsFor(ws) }, ws, delta=>{ // Pass ws context for token tracking
+        if (!timing.firstToken) timing.firstToken = Date.now();
+        assistantMsg.content += delta;
+        splitter.push(delta);
+      });
+      splitter.flush();
+      Object.assign(assistantMsg, choice?.message || {}, { role:"assistant" });
+      // Cut off mid-stream: history keeps what was spoken, not the rest the model wrote
+      if (gen !== ws._ttsGen) Object.assign(assistantMsg, { content: spoken.join(" "), interrupted: true });
+      const calls = assistantMsg.tool_calls || [];
 
-      messages = [...messages, assistantMsg];
+      if (speech) await speech;
+
+      messages = [...messages, llmMessage(assistantMsg)];
 
       if (!calls?.length) {
         log("[LLM] no tool calls]");
@@ -1279,29 +3759,11 @@ async function runTurn(ws, baseMessages){
         seenIds.add(tc.id);
 
         const name = tc.function?.name || "";
-        let args = {};
-        try { args = JSON.parse(tc.function?.arguments || "{}"); } catch {}
+        let args = {}, invalid = null;
+        try { args = JSON.parse(tc.function?.arguments || "{}") || {}; }
+        catch { invalid = { ok:false, error:"BAD_ARGUMENTS_JSON", message:`${name} was not run: its arguments were not valid JSON. Call it again.` }; }
 
         if ((name === "transfer" || name === "end_call") && !args.callSid) args.callSid = ws._callSid || "";
-        if (name === "end_call") args._wsContext = ws; // Pass context for call summary
-
-        // Dedup tracking: prevent calling the SAME tool twice with the same window
-        // But ALLOW read_availability followed by book_appointment for same time
-        let dedupKey = "";
-        if (args?.startISO && args?.endISO) dedupKey = `${name}:${args.startISO}|${args.endISO}`;
-
-        if ((name === "read_availability" || name === "book_appointment") && dedupKey){
-          if (ws._windowFlights.has(dedupKey)) {
-            log("[DEDUP] skip", name, dedupKey);
-            const dedupResponse = { role:"tool", tool_call_id: tc.id, content: JSON.stringify({ ok:true, deduped:true, message:"Already processed" }) };
-            messages.push(dedupResponse);
-            ws._mem.push(dedupResponse); // Save dedup response to memory
-            messages.push({ role:"system",
-              content:"Tool deduped - you already called this tool for this time. Move forward without repeating." });
-            continue;
-          }
-          ws._windowFlights.add(dedupKey);
-        }
 
         if (name === "book_appointment") {
           args.meeting_type = args.meeting_type ?? ws._slots.meeting_type ?? "";
@@ -1311,12 +3773,28 @@ async function runTurn(ws, baseMessages){
           args.service = args.service ?? ws._slots.service ?? "";
         }
 
-        log("[LLM→TOOL]", name, JSON.stringify(args).slice(0, 180));
+        invalid ||= checkToolArgs(name, args, ws);
+        if (invalid) log("[TOOL] ⚠️ rejected", name, invalid.error, (invalid.errors || []).map(e => e.field).join(","));
+
+        // Repeat bookings are stopped by bookingGuard and the CAL_CREATE idempotency key, not by skipping
+        // repeated calls: a re-check after a refusal (or after a confirmation went stale) has to really run
+
+        log("[LLM→TOOL]", name);
+        log.payload("[LLM→TOOL] args", args);
+        callEvent(ws, "tool_call", { name, args });
         const impl = Tools[name];
-        const result = impl ? await impl(args) : { ok:false, error:"TOOL_NOT_FOUND" };
+        const toolStart = Date.now();
+        const result = !impl ? { ok:false, error:"TOOL_NOT_FOUND" } : invalid || await impl(args, ws); // ws = per-call context
         log("[TOOL→LLM]", name, result?.ok ? "ok" : "fail");
+        ws._toolLog.push({ id: tc.id, name, args, result, ms: Date.now() - toolStart, at: new Date(toolStart).toISOString() });
+        inc(M.toolCalls, { tool: impl ? name : "unknown", result: result?.ok ? "ok" : "error", error: result?.ok ? "" : toolErrorLabel(result?.error || "UNKNOWN") });
+        observe(M.toolSeconds, { tool: impl ? name : "unknown" }, (Date.now() - toolStart) / 1000);
+        ws._lastTool = { name, args, ok: !!result?.ok, error: result?.error, at: new Date().toISOString() };
+        callEvent(ws, "tool_result", { name, ok: !!result?.ok, result });
 
         if (name === "book_appointment" && result?.ok) ws._lastBooked = { startISO: args.startISO, endISO: args.endISO };
+        if (name === "reschedule_appointment" && result?.ok) ws._lastBooked = { startISO: result.startTime, endISO: result.endTime };
+        if (["book_appointment", "reschedule_appointment", "cancel_appointment"].includes(name)) smsAfterTool(ws, name, args, result).catch(e => log("[SMS] ❌", e?.message));
 
         // CRITICAL FIX: Save tool response to memory so conversation history is complete
         const toolResponse = { role:"tool", tool_call_id: tc.id, content: JSON.stringify(result) };
@@ -1327,32 +3805,68 @@ async function runTurn(ws, baseMessages){
           content:"Tool response received. Now, in THIS SAME TURN, say one short outcome line (≤12 words) and ask ONE next question. Do not repeat the greeting. Do not mention tools or ISO strings." });
       }
     }
+  } catch(e){
+    // An upstream failure must not take down the process (and every other live call with it)
+    log.error("[LLM] turn failed:", e?.response?.status || "", e?.message);
   } finally {
     ws._llmBusy = false;
-    if (ws._turnQueue) { const q = ws._turnQueue; ws._turnQueue = null; runTurn(ws, q); }
+    if (ws._turnPending) { ws._turnPending = false; callerTurn(ws); }
   }
 }
 
-/* ===== ✅ UNCHANGED: Call loop (WebSocket/Twilio/Deepgram logic untouched) ===== */
-wss.on("connection", (ws)=>{
-  let dg = null;
+/* ===== Call loop: Twilio media stream ↔ STT ↔ turn runner =====
+   - start: tenant + outbound context from the stream parameters, STT opened, greeting (or outbound opening) spoken
+   - media → STT; finals are batched into a turn, and caller speech over playback barges in
+   - mark: Twilio finished playing a chunk; stop / close / error finalize the call exactly once */
+wss.on("connection", (ws, req)=>{
+  let dg = null; // STT connection
   let pending = [];
   const BATCH = 6;
   let timer = null;
 
   ws._streamSid = "";
   ws._callSid = "";
+  ws._authCallSid = req?._streamClaims?.callSid || ""; // CallSid the stream token was minted for
   ws._from = "";
+  ws._tenant = null; // resolved from the "tenant" stream parameter on start
+  ws._afterHours = false;
+  ws._outbound = null; // { purpose, context, opening } when we placed the call
   ws._mem = [];
+  ws._historyCut = 0;      // ws._mem index before which messages live only in ws._historySummary
+  ws._historySummary = []; // condensed lines for turns outside the history budget
+  ws._historyDropped = { lines:0, tools:0 }; // summary lines dropped to keep it within its share of the budget
   ws._slots = { name:"", phone:"", service:"", meeting_type:"", location:"", notes:"" };
-  ws._windowFlights = new Set();
+  ws._spelling = null; // { letters, index, at } name being spelled out (see "Spoken numbers & spelling")
+  ws._digitRun = null; // { digits, at } phone number read out over several utterances
+  ws._events = new Map(); // event_id -> event, from find_customer_events
   ws._llmBusy = false;
-  ws._turnQueue = null;
+  ws._turnPending = false;
   ws._startTime = null; // Track call start time for duration
   ws._totalTokens = 0; // Track OpenAI token usage
   ws._lastBooked = null;
-
-  ws.on("message", async raw=>{
+  ws._freeWindows = []; // { start, end, at } windows the calendar said were free (see "Booking guardrails")
+  ws._bookings = [];    // { appointmentId, phone, startTime } booked during this call
+  ws._cancels = 0;      // successful cancels this call, part of the booking idempotency key
+  ws._lastFinalAt = 0; // latest STT final, for per-turn latency
+  ws._turnTiming = null;
+  ws._lastTool = null; // { name, args, ok, error, at } for live monitoring
+  ws._feed = [];       // recent monitor events (see "Live call monitoring")
+  ws._toolLog = [];    // { id, name, args, result, ms, at } for call history
+  ws._turnTimings = []; // per-turn latency marks
+  ws._prompt = null;   // Promise<string>, see callPrompt
+  ws._promptVersion = "";
+  ws._promptVariant = "";
+  ws._pendingEnd = ""; // set by transfer/end_call before Twilio tears the stream down
+  ws._finalized = false;
+  ws._ttsQ = null;
+  ws._ttsGen = 0;
+  ws._ttsAbort = null;
+  ws._ttsStreaming = false;
+  ws._marks = new Set(); // outstanding Twilio playback marks
+  ws._markSeq = 0;
+
+  // Each handler runs inside the call's log context; STT sockets and timers opened there inherit it
+  ws.on("message", raw=> logContext.run(ws, async ()=>{
     try {
       const msg = JSON.parse(raw.toString());
       const { event } = msg;
@@ -1361,60 +3875,99 @@ wss.on("connection", (ws)=>{
         ws._streamSid = msg.start?.streamSid || "";
         ws._callSid   = msg.start?.customParameters?.CallSid || msg.start?.customParameters?.callSid || "";
         ws._from      = msg.start?.customParameters?.from || "";
+        ws._tenant    = getTenant(msg.start?.customParameters?.tenant);
+        ws._afterHours = msg.start?.customParameters?.afterHours === "1";
+        if (msg.start?.customParameters?.direction === "outbound") {
+          const purpose = msg.start.customParameters.purpose || "";
+          let context = {};
+          try { context = JSON.parse(msg.start.customParameters.context || "{}") || {}; } catch {}
+          if (OUTBOUND_PURPOSES[purpose]) ws._outbound = { purpose, context, opening:"" };
+        }
+        if (TWILIO_AUTH_CHECK && ws._callSid !== ws._authCallSid) {
+          log("[AUTH] ❌ stream token minted for", ws._authCallSid, "but start is for", ws._callSid);
+          ws.close(1008, "Unauthorized");
+          return;
+        }
         ws._startTime = new Date(); // Record call start time
-        log("[WS] start", ws._callSid, "from", ws._from);
+        log("[WS] start", ws._callSid, "from", ws._from, "tenant", ws._tenant.id);
+        callEvent(ws, "start", { from: ws._from, tenant: ws._tenant.id, direction: ws._outbound ? "outbound" : "inbound", purpose: ws._outbound?.purpose });
         if (ws._from) ws._slots.phone = normalizePhone(ws._from);
 
-        dg = newDeepgram(async text=>{
-          log("[USER]", text);
+        dg = stt.open({ onFinal: async text=>{
+          log.payload("[USER]", text);
+          callEvent(ws, "caller", { text });
+          ws._lastFinalAt = Date.now();
           extractSlots(ws, text);
           ws._mem.push({ role:"user", content:text });
           clearTimeout(timer);
           timer = null;
           pending.push(text);
+          // The caller's lines are already in ws._mem; pending only decides when the turn starts
           if (pending.length >= BATCH){
-            const p = pending.slice(); pending = [];
-            const prompt = await getPrompt();
-            const sys = systemMessages(prompt);
-            const userMsgs = p.map(t=>({ role:"user", content:t }));
-            runTurn(ws, [...sys, ...ws._mem.slice(-10), ...userMsgs]);
+            pending = [];
+            callerTurn(ws);
           } else {
-            timer = setTimeout(async ()=>{
-              const p = pending.slice(); pending = [];
-              if (!p.length) return;
-              const prompt = await getPrompt();
-              const sys = systemMessages(prompt);
-              const userMsgs = p.map(t=>({ role:"user", content:t }));
-              runTurn(ws, [...sys, ...ws._mem.slice(-10), ...userMsgs]);
-            }, 800);
+            timer = setTimeout(()=>{
+              if (!pending.length) return;
+              pending = [];
+              callerTurn(ws);
+            }, TURN_DEBOUNCE_MS);
           }
-        });
+        }, onSpeech: ()=> bargeIn(ws) });
+
+        if (ws._outbound) {
+          // We called them: open with the purpose's line, then wait for their answer
+          const { purpose, context } = ws._outbound;
+          if (context.eventId) ws._events.set(String(context.eventId), {
+            event_id: String(context.eventId), title: context.title || "", start: context.startISO || "", end: context.endISO || "", location: context.location || "",
+            customer_name: context.name || "", customer_phone: normalizePhone(ws._from)
+          });
+          if (context.name && !ws._slots.name) ws._slots.name = String(context.name);
+          ws._outbound.opening = outboundScript(tenantOf(ws), purpose, context).opening;
+          ws._mem.push({ role:"assistant", content: ws._outbound.opening });
+          log.payload("[OUTBOUND] opening:", ws._outbound.opening);
+          callEvent(ws, "agent", { text: ws._outbound.opening });
+          speakULaw(ws, ws._outbound.opening);
+          return;
+        }
 
-        const prompt = await getPrompt();
-        const sys = systemMessages(prompt);
+        const prompt = await callPrompt(ws);
+        const sys = systemMessages(prompt, ws);
         runTurn(ws, sys);
       }
-      else if (event === "media" && dg?.readyState === WebSocket.OPEN){
+      else if (event === "media" && dg){
         const chunk = Buffer.from(msg.media?.payload || "", "base64");
         dg.send(chunk);
       }
+      else if (event === "mark"){
+        ws._marks.delete(msg.mark?.name);
+      }
       else if (event === "stop"){
         log("[WS] stop", ws._callSid);
+        finalizeCall(ws, ws._pendingEnd || "caller_hangup");
         if (dg) dg.close();
         ws.close();
       }
     } catch(e){
-      log("[WS] parse error:", e?.message);
+      log.error("[WS] parse error:", e?.message);
     }
-  });
+  }));
 
-  ws.on("close", ()=>{
+  ws.on("close", ()=> logContext.run(ws, ()=>{
     log("[WS] closed", ws._callSid);
+    ws._ttsGen++;
+    ws._ttsAbort?.abort();
     if (dg) dg.close();
     clearTimeout(timer);
-  });
-
-  ws.on("error", e=> log("[WS] error:", e?.message));
+    // Closed without a Twilio "stop" — the stream dropped
+    finalizeCall(ws, ws._pendingEnd || "error");
+  }));
+
+  ws.on("error", e=> logContext.run(ws, ()=>{
+    log.error("[WS] error:", e?.message);
+    ws._pendingEnd = ws._pendingEnd || "error";
+  }));
 });
 
+logConfigReport();
 log(`[READY] Voice agent with ReceptorX integration on port ${PORT}`);
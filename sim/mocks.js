@@ -0,0 +1,176 @@
+/* sim/mocks.js — local stand-ins for every upstream the voice agent talks to
+   - One HTTP server on an ephemeral port, one path prefix per upstream:
+       /openai      chat completions, answered from the scenario's scripted agent steps (streamed when asked)
+       /elevenlabs  TTS (and /deepgram/speak), records the text and streams back a short μ-law buffer
+       /twilio      REST API (call updates, outbound calls, SMS)
+       /rx          ReceptorX dashboard endpoints (calendar, leads, logs, summaries)
+   - A WebSocket on /deepgram/listen stands in for STT: the simulator pushes transcripts through it
+   - Everything the server sends is appended to `events` so runs can be asserted on */
+
+import http from "http";
+import { WebSocketServer } from "ws";
+
+// Built-in ReceptorX answers; scenario.receptorx.<name> overrides with one response or a queue of them
+const RX_DEFAULTS = {
+  "cal-read":            ()=> ({ available:true, conflicts:[] }),
+  "cal-create":          body => ({ ok:true, event_id:"evt_sim_1", start_local:body?.Start_Time_Local, end_local:body?.End_Time_Local }),
+  "cal-cancel":          ()=> ({ ok:true, cancelled:true }),
+  "appointments-search": ()=> ({ ok:true, events:[] }),
+  "lead-upsert":         ()=> ({ ok:true }),
+  "call-log":            ()=> ({ ok:true }),
+  "call-summary":        ()=> ({ ok:true }),
+  "sms-log":             ()=> ({ ok:true })
+};
+
+// 100ms of μ-law silence per TTS request is enough for the server to stream a media frame + mark
+const ULAW_SILENCE = Buffer.alloc(800, 0xff);
+
+function readBody(req){
+  return new Promise(resolve=>{
+    let raw = "";
+    req.on("data", c=> raw += c);
+    req.on("end", ()=>{
+      if (!raw) return resolve({});
+      try { resolve(JSON.parse(raw)); }
+      catch { resolve(Object.fromEntries(new URLSearchParams(raw))); }
+    });
+  });
+}
+
+// Scripted agent step → OpenAI assistant message ({ say }, { tool, args } or { say, tools:[{ name, args }] })
+function llmMessage(step, n){
+  const tools = step.tools || (step.tool ? [{ name:step.tool, args:step.args }] : []);
+  const msg = { role:"assistant", content: step.say ?? null };
+  if (tools.length) msg.tool_calls = tools.map((t,i)=>({
+    id: `call_sim_${n}_${i}`, type: "function",
+    function: { name: t.name, arguments: JSON.stringify(t.args || {}) }
+  }));
+  return msg;
+}
+
+// The same message as OpenAI SSE chunks: content word by word, each tool call's arguments split in two
+function sseChunks(message){
+  const chunks = [];
+  const delta = (d, finish = null) => chunks.push({ object:"chat.completion.chunk", choices:[{ index:0, delta:d, finish_reason:finish }] });
+  delta({ role:"assistant", content:"" });
+  for (const word of message.content?.match(/\S+\s*/g) || []) delta({ content:word });
+  (message.tool_calls || []).forEach((tc, index)=>{
+    const args = tc.function.arguments, half = Math.ceil(args.length / 2);
+    delta({ tool_calls:[{ index, id:tc.id, type:"function", function:{ name:tc.function.name, arguments:"" } }] });
+    delta({ tool_calls:[{ index, function:{ arguments:args.slice(0, half) } }] });
+    delta({ tool_calls:[{ index, function:{ arguments:args.slice(half) } }] });
+  });
+  delta({}, message.tool_calls ? "tool_calls" : "stop");
+  chunks.push({ object:"chat.completion.chunk", choices:[], usage:{ prompt_tokens:80, completion_tokens:20, total_tokens:100 } });
+  return chunks;
+}
+
+export async function startMocks(scenario = {}){
+  const events = [];
+  const agentSteps = (scenario.steps || []).filter(s => s.agent).map(s => s.agent);
+  const rxQueues = Object.fromEntries(Object.entries(scenario.receptorx || {}).map(([k,v]) => [k, Array.isArray(v) ? v.slice() : [v]]));
+  let llmCalls = 0;
+  let activity = Date.now();
+  const note = ev => { activity = Date.now(); events.push({ at:Date.now(), ...ev }); };
+
+  const server = http.createServer(async (req,res)=>{
+    const body = await readBody(req);
+    const url = new URL(req.url, "http://mock");
+    const json = (status, data) => { res.writeHead(status, { "Content-Type":"application/json" }); res.end(JSON.stringify(data)); };
+
+    if (url.pathname === "/openai/chat/completions") {
+      const n = llmCalls++;
+      note({ type:"llm_request", n, messages: body.messages, tools: (body.tools || []).map(t => t.function?.name) });
+      const step = agentSteps[n];
+      if (!step) {
+        note({ type:"error", error:"LLM_SCRIPT_EXHAUSTED", n });
+        return json(200, { choices:[{ message:{ role:"assistant", content:null } }], usage:{ total_tokens:0 } });
+      }
+      const message = llmMessage(step, n);
+      note({ type:"llm_reply", n, say: message.content, tools: (message.tool_calls || []).map(tc => ({ name:tc.function.name, args:JSON.parse(tc.function.arguments) })) });
+      if (body.stream) {
+        res.writeHead(200, { "Content-Type":"text/event-stream" });
+        for (const c of sseChunks(message)) {
+          res.write(`data: ${JSON.stringify(c)}\n\n`);
+          if (step.streamMs) await new Promise(r => setTimeout(r, step.streamMs)); // a model that takes its time
+        }
+        return res.end("data: [DONE]\n\n");
+      }
+      return json(200, { choices:[{ index:0, message, finish_reason: message.tool_calls ? "tool_calls" : "stop" }], usage:{ prompt_tokens:80, completion_tokens:20, total_tokens:100 } });
+    }
+
+    if (url.pathname.startsWith("/elevenlabs/") || url.pathname === "/deepgram/speak") {
+      note({ type:"tts", text: body.text });
+      res.writeHead(200, { "Content-Type":"audio/basic" });
+      return res.end(ULAW_SILENCE);
+    }
+
+    if (url.pathname.startsWith("/twilio/")) {
+      note({ type:"twilio_api", path: url.pathname.replace("/twilio", ""), body });
+      return json(201, { sid: `SM${String(events.length).padStart(32, "0")}`, status:"queued" });
+    }
+
+    if (url.pathname.startsWith("/rx/")) {
+      const name = url.pathname.slice(4);
+      const queued = rxQueues[name]?.length > 1 ? rxQueues[name].shift() : rxQueues[name]?.[0];
+      const answer = queued ?? RX_DEFAULTS[name]?.(body) ?? { ok:true };
+      const { _status = 200, ...data } = answer; // { _status:503, ... } simulates an outage
+      note({ type:"receptorx", name, body, status:_status });
+      return json(_status, data);
+    }
+
+    json(404, { error:"NO_MOCK", path:url.pathname });
+  });
+
+  // Deepgram stand-in: the server opens one socket per call; the latest one receives transcripts
+  const dgServer = new WebSocketServer({ noServer:true });
+  let dgSocket = null;
+  let audioBytes = 0;
+  server.on("upgrade", (req, socket, head)=>{
+    if (!req.url.startsWith("/deepgram/listen")) return socket.destroy();
+    dgServer.handleUpgrade(req, socket, head, ws=>{
+      dgSocket = ws;
+      note({ type:"stt_open" });
+      ws.on("message", buf=>{ audioBytes += buf.length; });
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    events,
+    get audioBytes(){ return audioBytes; },
+    get lastActivity(){ return activity; },
+    get llmCalls(){ return llmCalls; },
+    agentSteps: agentSteps.length,
+    note,
+    env: {
+      OPENAI_BASE_URL: `${base}/openai`,
+      DEEPGRAM_LISTEN_URL: `${base.replace("http", "ws")}/deepgram/listen`,
+      DEEPGRAM_SPEAK_URL: `${base}/deepgram/speak`,
+      ELEVENLABS_BASE_URL: `${base}/elevenlabs`,
+      TWILIO_API_BASE: `${base}/twilio`,
+      DASH_CAL_READ_URL: `${base}/rx/cal-read`,
+      DASH_CAL_CREATE_URL: `${base}/rx/cal-create`,
+      DASH_CAL_CANCEL_URL: `${base}/rx/cal-cancel`,
+      DASH_APPOINTMENTS_SEARCH_URL: `${base}/rx/appointments-search`,
+      DASH_LEAD_UPSERT_URL: `${base}/rx/lead-upsert`,
+      DASH_CALL_LOG_URL: `${base}/rx/call-log`,
+      DASH_CALL_SUMMARY_URL: `${base}/rx/call-summary`,
+      DASH_SMS_LOG_URL: `${base}/rx/sms-log`
+    },
+    // Stand-in STT result for one caller utterance
+    transcribe(text){
+      if (!dgSocket || dgSocket.readyState !== dgSocket.OPEN) return false;
+      dgSocket.send(JSON.stringify({ type:"SpeechStarted" }));
+      dgSocket.send(JSON.stringify({ type:"Results", is_final:true, speech_final:true, channel:{ alternatives:[{ transcript:text }] } }));
+      return true;
+    },
+    close(){
+      for (const c of dgServer.clients) c.terminate();
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,384 @@
+#!/usr/bin/env node
+/* sim/simulate.js — offline call simulator (Twilio Media Streams ↔ server.js, every upstream mocked)
+   Usage: node sim/simulate.js [scenario.json | dir ...] [--json] [--verbose]
+   - Starts sim/mocks.js, spawns server.js pointed at them, then plays each scenario as Twilio would:
+     POST /twiml → connect to the <Stream> with its <Parameter>s → start / media / mark / stop
+   - Scenario: { name, from, to, tenantsFile?, env?, receptorx?, playbackMs?, settleMs?, quietMs?, steps:[ { agent:{...} } | { caller:"..." } ], expect? }
+       agent steps are the scripted LLM replies, consumed in order: { say }, { tool, args } or { say, tools:[{ name, args }] };
+       an agent step's scratchpad:{ Name, Phone, Location, ... } must match the scratchpad sent with the request it answers,
+       and each of its sees:[regex] must match some message of that request; streamMs paces its streamed chunks
+       caller steps are spoken once the agent goes quiet, through the stand-in STT; { caller, bargeIn:true } is spoken as
+       soon as the agent starts its next reply instead. playbackMs: how long each audio chunk takes to "play" (default 0)
+       receptorx:{ <endpoint>: answer | [answers...] } overrides the mock dashboard, { _status:503 } fails; settleMs: how long
+       to wait after hangup for the call summary to be delivered (default 3000); quietMs overrides SIM_QUIET_MS
+       { repeat:n, steps:[...] } stands for its steps n times over, with "{{i}}" in their strings replaced by 1..n
+   - expect: { says:[regex], clears:n, tools:[name...], toolResults:{ name:{...} | [{...}, ...] }, receptorx:[{ name, body }], sms:[regex], summary:{...},
+       history:{ maxTokens, recentTurns }, outboxJournal:{ maxLines } } — history: every LLM request's conversation history (≈ chars/4, as server.js counts)
+       stays within maxTokens and still has the caller's last recentTurns lines as messages of their own;
+       outboxJournal: DATA_DIR/outbox.jsonl as the server left it at shutdown
+   - env:{ TWILIO_AUTH_CHECK:"true" } signs the TwiML request with TWILIO_AUTH_TOKEN and streams on the minted token;
+     the sim also tries an unsigned TwiML request and a second connect on the used token, and expect.auth:
+     { twiml_unsigned:status, stream_replay:status } checks the HTTP status each got (101: the upgrade went through)
+     Objects match partially; strings wrapped in /.../ are regexes
+   - Importable: runScenario(scenario) resolves to { name, ok, failures, transcript, events, summary } */
+
+import { spawn } from "child_process";
+import crypto from "crypto";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import WebSocket from "ws";
+import { startMocks } from "./mocks.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const QUIET_MS = Number(process.env.SIM_QUIET_MS || 1200); // agent is done when nothing happened for this long
+const STEP_TIMEOUT_MS = Number(process.env.SIM_STEP_TIMEOUT_MS || 20000);
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function freePort(){
+  return new Promise((resolve, reject)=>{
+    const s = net.createServer();
+    s.on("error", reject);
+    s.listen(0, "127.0.0.1", ()=>{ const { port } = s.address(); s.close(()=> resolve(port)); });
+  });
+}
+
+function unescapeXml(s = ""){
+  return s.replace(/&(lt|gt|amp|quot|apos);/g, (_,e) => ({ lt:"<", gt:">", amp:"&", quot:'"', apos:"'" }[e]));
+}
+
+async function startServer(env, verbose){
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(ROOT, "server.js")], {
+    cwd: ROOT, env: { ...env, PORT:String(port) }, stdio: ["ignore", "pipe", "pipe"]
+  });
+  const logs = [];
+  const onData = buf => { logs.push(buf.toString()); if (verbose) process.stderr.write(buf); };
+  child.stdout.on("data", onData);
+  child.stderr.on("data", onData);
+  const exited = new Promise(resolve => child.on("exit", resolve));
+
+  for (let i = 0; i < 100; i++) {
+    if (child.exitCode !== null) throw new Error(`server exited during startup:\n${logs.join("")}`);
+    try { if ((await fetch(`http://127.0.0.1:${port}/healthz`)).ok) break; } catch {}
+    await sleep(100);
+  }
+  return {
+    port, logs,
+    async stop(){
+      if (child.exitCode === null) child.kill("SIGTERM");
+      await Promise.race([exited, sleep(3000)]);
+    }
+  };
+}
+
+// X-Twilio-Signature: HMAC-SHA1 over the URL plus the POST params sorted by name, keyed by the auth token
+function twilioSignature(authToken, url, params){
+  const data = Object.keys(params).sort().reduce((acc,k) => acc + k + params[k], url);
+  return crypto.createHmac("sha1", authToken).update(Buffer.from(data, "utf-8")).digest("base64");
+}
+
+// Twilio's first request: TwiML tells us where to stream and which parameters to send
+async function fetchTwiml(port, { from, to, callSid }, authToken = ""){
+  const url = `http://127.0.0.1:${port}/twiml`;
+  const params = { From:from, To:to, CallSid:callSid, Direction:"inbound" };
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type":"application/x-www-form-urlencoded", ...(authToken ? { "X-Twilio-Signature": twilioSignature(authToken, url, params) } : {}) },
+    body: new URLSearchParams(params)
+  });
+  const xml = await res.text();
+  const stream = xml.match(/<Stream url="([^"]*)"/);
+  const parameters = {};
+  for (const [, name, value] of xml.matchAll(/<Parameter name="([^"]*)" value="([^"]*)"\/>/g)) parameters[unescapeXml(name)] = unescapeXml(value);
+  return { status: res.status, xml, streamPath: stream ? new URL(unescapeXml(stream[1])).pathname : null, parameters };
+}
+
+// HTTP status of a media stream upgrade: 101 when it went through, 0 when the connection failed outright
+function streamStatus(port, streamPath){
+  return new Promise(resolve=>{
+    const ws = new WebSocket(`ws://127.0.0.1:${port}${streamPath}`);
+    ws.once("open", ()=>{ ws.terminate(); resolve(101); });
+    ws.once("unexpected-response", (req, res)=>{ resolve(res.statusCode); req.destroy(); });
+    ws.once("error", ()=> resolve(0));
+  });
+}
+
+/* ===== Expectations ===== */
+function matches(actual, expected){
+  if (typeof expected === "string" && /^\/.*\/[a-z]*$/.test(expected)) {
+    const [, src, flags] = expected.match(/^\/(.*)\/([a-z]*)$/);
+    return new RegExp(src, flags).test(String(actual ?? ""));
+  }
+  if (expected && typeof expected === "object") {
+    if (!actual || typeof actual !== "object") return false;
+    return Object.entries(expected).every(([k,v]) => matches(actual[k], v));
+  }
+  return actual === expected;
+}
+function asRegex(s){
+  return typeof s === "string" && /^\/.*\/[a-z]*$/.test(s) ? s : `/${s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}/i`;
+}
+
+// Every LLM request must pair each tool call with its response (OpenAI rejects it otherwise), and every tool call the
+// agent already made must still be there: in the message window, or as a "Tool <name>" line of the condensed summary
+function historyFailures(events){
+  const failures = [], made = [];
+  for (const e of events) {
+    if (e.type === "llm_reply") e.tools.forEach((t,i) => made.push({ id:`call_sim_${e.n}_${i}`, name:t.name, n:e.n }));
+    if (e.type !== "llm_request" || !e.messages) continue;
+    const calls = new Set(), answered = new Set();
+    for (const m of e.messages) {
+      for (const tc of m.tool_calls || []) calls.add(tc.id);
+      if (m.role === "tool") {
+        if (!calls.has(m.tool_call_id)) failures.push(`LLM request #${e.n + 1}: tool response ${m.tool_call_id} has no tool call before it`);
+        answered.add(m.tool_call_id);
+      }
+    }
+    for (const id of calls) if (!answered.has(id)) failures.push(`LLM request #${e.n + 1}: tool call ${id} has no response`);
+    const summary = e.messages.filter(m => m.role === "system").map(m => m.content || "").join("\n");
+    const gone = {};
+    for (const t of made.filter(t => t.n < e.n && !calls.has(t.id))) gone[t.name] = (gone[t.name] || 0) + 1;
+    // The summary may drop its oldest tool lines to stay within budget, as long as it says how many
+    let dropped = Number(summary.match(/including (\d+) tool result/)?.[1] || 0);
+    for (const [name, count] of Object.entries(gone)) {
+      const missing = count - summary.split("\n").filter(l => l.startsWith(`Tool ${name} `)).length;
+      if (missing > dropped) failures.push(`LLM request #${e.n + 1}: ${missing - dropped} earlier ${name} call(s) missing from the history`);
+      dropped = Math.max(0, dropped - Math.max(0, missing));
+    }
+  }
+  return failures;
+}
+
+// Conversation history of one LLM request: the condensed summary plus the message window, priced like server.js does
+const estimateTokens = m => 4 + Math.ceil(((m.content || "").length + JSON.stringify(m.tool_calls || "").length) / 4);
+function historyBudgetFailures(events, { maxTokens, recentTurns = 0 }){
+  const failures = [], said = [];
+  for (const e of events) {
+    if (e.type === "caller") said.push(e.text);
+    if (e.type !== "llm_request" || !e.messages) continue;
+    const history = e.messages.filter(m => m.role !== "system" || /^Earlier in this call|^Your previous reply was cut off/.test(m.content || ""));
+    const used = history.reduce((a,m) => a + estimateTokens(m), 0);
+    if (maxTokens != null && used > maxTokens) failures.push(`LLM request #${e.n + 1}: history is ~${used} tokens, budget ${maxTokens}`);
+    for (const text of said.slice(-recentTurns)) {
+      if (!history.some(m => m.role === "user" && m.content === text)) failures.push(`LLM request #${e.n + 1}: recent caller line "${text}" is not in the message window`);
+    }
+  }
+  return failures;
+}
+
+// { repeat:n, steps } → its steps n times, "{{i}}" numbered 1..n
+function expandSteps(steps = []){
+  return steps.flatMap(s => !s.repeat ? [s] : Array.from({ length:s.repeat }, (_, i) => JSON.parse(JSON.stringify(expandSteps(s.steps)).replaceAll("{{i}}", String(i + 1)))).flat());
+}
+
+// "Scratchpad\n- Name: Jordan Lee\n- Phone: ..." → { Name:"Jordan Lee", Phone:"..." }
+function scratchpadOf(messages = []){
+  const pad = messages.filter(m => m.role === "system" && m.content?.startsWith("Scratchpad")).at(-1);
+  return pad ? Object.fromEntries([...pad.content.matchAll(/^- ([^:]+): (.*)$/gm)].map(([, k, v]) => [k, v])) : null;
+}
+
+function check(expect = {}, r){
+  const failures = [];
+  const says = r.events.filter(e => e.type === "tts").map(e => e.text);
+  for (const s of expect.says || []) if (!says.some(t => matches(t, asRegex(s)))) failures.push(`agent never said ${s}`);
+  const clears = r.events.filter(e => e.type === "clear").length;
+  if (expect.clears != null && clears !== expect.clears) failures.push(`Twilio was told to clear playback ${clears} time(s), expected ${expect.clears}`);
+
+  const ran = r.toolResults.map(t => t.name);
+  if (expect.tools && JSON.stringify(ran) !== JSON.stringify(expect.tools)) failures.push(`tools ran ${JSON.stringify(ran)}, expected ${JSON.stringify(expect.tools)}`);
+  for (const [name, want] of Object.entries(expect.toolResults || {})) {
+    const got = r.toolResults.filter(t => t.name === name);
+    // One object checks the last result; an array checks each call's result in order
+    const pairs = Array.isArray(want) ? want.map((w,i) => [got[i], w]) : [[got.at(-1), want]];
+    for (const [g, w] of pairs) {
+      if (!g) failures.push(`${name} never returned ${JSON.stringify(w)}`);
+      else if (!matches(g.result, w)) failures.push(`${name} returned ${JSON.stringify(g.result)}, expected ${JSON.stringify(w)}`);
+    }
+  }
+
+  const rx = r.events.filter(e => e.type === "receptorx");
+  for (const want of expect.receptorx || []) if (!rx.some(e => matches(e, want))) failures.push(`no ReceptorX call matching ${JSON.stringify(want)}`);
+
+  const sms = r.events.filter(e => e.type === "twilio_api" && e.path.endsWith("/Messages.json")).map(e => e.body.Body);
+  for (const s of expect.sms || []) if (!sms.some(b => matches(b, asRegex(s)))) failures.push(`no SMS matching ${s}`);
+
+  for (const [check, status] of Object.entries(expect.auth || {})) {
+    const got = r.events.find(e => e.type === "auth" && e.check === check);
+    if (got?.status !== status) failures.push(`${check}: got ${got ? got.status : "no attempt"}, expected ${status}`);
+  }
+  if (expect.outboxJournal?.maxLines != null && r.outboxJournal.length > expect.outboxJournal.maxLines) {
+    failures.push(`outbox journal has ${r.outboxJournal.length} record(s), expected at most ${expect.outboxJournal.maxLines}`);
+  }
+  if (expect.summary && !matches(r.summary, expect.summary)) failures.push(`call summary ${JSON.stringify(r.summary && { outcome:r.summary.outcome, endReason:r.summary.endReason })} does not match ${JSON.stringify(expect.summary)}`);
+
+  failures.push(...historyFailures(r.events));
+  if (expect.history) failures.push(...historyBudgetFailures(r.events, expect.history));
+  r.agentScript.forEach((step, n)=>{
+    const messages = r.events.find(e => e.type === "llm_request" && e.n === n)?.messages;
+    const got = scratchpadOf(messages);
+    if (step.scratchpad && !matches(got, step.scratchpad)) failures.push(`LLM request #${n + 1}: scratchpad ${JSON.stringify(got)}, expected ${JSON.stringify(step.scratchpad)}`);
+    for (const s of step.sees || []) if (!(messages || []).some(m => matches(m.content, asRegex(s)))) failures.push(`LLM request #${n + 1}: no message matching ${s}`);
+  });
+  for (const e of r.events.filter(e => e.type === "error")) failures.push(`${e.error} (LLM request #${e.n + 1})`);
+  if (r.llmCalls < r.agentSteps) failures.push(`only ${r.llmCalls} of ${r.agentSteps} scripted agent steps were used`);
+  return failures;
+}
+
+/* ===== Run one scenario ===== */
+export async function runScenario(scenario, { verbose = false } = {}){
+  scenario = { ...scenario, steps: expandSteps(scenario.steps) };
+  const mocks = await startMocks(scenario);
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "voice-sim-"));
+  const callSid = `CA${Date.now().toString(16).padStart(32, "0")}`;
+  const streamSid = `MZ${Date.now().toString(16).padStart(32, "0")}`;
+  const transcript = [];
+  let server = null, ws = null;
+  let playing = 0; // marks not yet echoed: audio still "playing"
+  let outboxJournal = [];
+
+  const env = {
+    PATH: process.env.PATH, HOME: process.env.HOME, TZ: process.env.TZ || "",
+    LOG_LEVEL: process.env.LOG_LEVEL || "info", LOG_FORMAT: process.env.LOG_FORMAT || "json",
+    TWILIO_AUTH_CHECK: "false", DATA_DIR: dataDir,
+    TENANTS_FILE: scenario.tenantsFile ? path.resolve(scenario.tenantsFile) : path.join(dataDir, "tenants.json"),
+    OPENAI_API_KEY: "sim", DEEPGRAM_API_KEY: "sim", ELEVENLABS_API_KEY: "sim", ELEVENLABS_VOICE_ID: "sim-voice",
+    TWILIO_ACCOUNT_SID: "ACsim", TWILIO_AUTH_TOKEN: "sim", TWILIO_CALLER_ID: scenario.to || "+15550000000",
+    PROMPT_FETCH_URL: "", RENDER_EXTERNAL_HOSTNAME: "",
+    TTS_CACHE: "false", // cached phrases never reach the TTS mock, so "says" expectations would miss them
+    ...mocks.env,
+    ...(scenario.env || {})
+  };
+
+  // Until the agent's next reply starts playing (for a caller who talks over it)
+  const waitSpeaking = async ()=>{
+    const since = mocks.events.length, deadline = Date.now() + STEP_TIMEOUT_MS;
+    while (!mocks.events.slice(since).some(e => e.type === "tts") && Date.now() < deadline) await sleep(20);
+    await sleep(100);
+  };
+  const waitQuiet = async ()=>{
+    const deadline = Date.now() + STEP_TIMEOUT_MS;
+    const quiet = scenario.quietMs || QUIET_MS;
+    await sleep(quiet);
+    while ((playing > 0 || Date.now() - mocks.lastActivity < quiet) && Date.now() < deadline) await sleep(Math.min(100, quiet));
+  };
+
+  try {
+    server = await startServer(env, verbose);
+    const authToken = env.TWILIO_AUTH_CHECK === "true" ? env.TWILIO_AUTH_TOKEN : "";
+    const call = { from: scenario.from || "+14105551234", to: scenario.to || "+15550000000", callSid };
+    if (authToken) mocks.note({ type:"auth", check:"twiml_unsigned", status: (await fetchTwiml(server.port, call)).status });
+    const twiml = await fetchTwiml(server.port, call, authToken);
+    if (!twiml.streamPath) {
+      transcript.push({ who:"twiml", text: twiml.xml });
+    } else {
+      ws = new WebSocket(`ws://127.0.0.1:${server.port}${twiml.streamPath}`);
+      await new Promise((resolve, reject)=>{ ws.once("open", resolve); ws.once("error", reject); });
+      ws.on("message", raw=>{
+        const msg = JSON.parse(raw.toString());
+        // Twilio echoes a mark once playback reaches it; we "play" in scenario.playbackMs
+        if (msg.event === "mark") {
+          playing++;
+          setTimeout(()=>{
+            playing--;
+            if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ event:"mark", streamSid, mark:msg.mark }));
+          }, scenario.playbackMs || 0);
+        }
+        if (msg.event === "clear") mocks.note({ type:"clear" });
+      });
+      ws.send(JSON.stringify({ event:"connected", protocol:"Call", version:"1.0.0" }));
+      ws.send(JSON.stringify({ event:"start", streamSid, start:{
+        streamSid, callSid, accountSid:"ACsim", tracks:["inbound"],
+        mediaFormat:{ encoding:"audio/x-mulaw", sampleRate:8000, channels:1 },
+        customParameters: twiml.parameters
+      } }));
+
+      await waitQuiet();
+      const callerSteps = (scenario.steps || []).filter(s => s.caller);
+      for (const [i, step] of callerSteps.entries()) {
+        // A few 20ms frames of silence ahead of the words, the way real audio precedes a transcript
+        for (let i = 0; i < 5; i++) ws.send(JSON.stringify({ event:"media", streamSid, media:{ payload: Buffer.alloc(160, 0xff).toString("base64") } }));
+        mocks.note({ type:"caller", text: step.caller });
+        if (!mocks.transcribe(step.caller)) mocks.note({ type:"error", error:"STT_NOT_CONNECTED", n: mocks.llmCalls });
+        await (callerSteps[i + 1]?.bargeIn ? waitSpeaking() : waitQuiet());
+      }
+
+      if (scenario.hangup !== false && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ event:"stop", streamSid, stop:{ callSid } }));
+      // Until the summary is delivered; settleMs leaves time for outbox retries after a failed first attempt
+      const settled = ()=> mocks.events.some(e => e.type === "receptorx" && e.name === "call-summary" && e.status < 300);
+      for (let i = 0; i < (scenario.settleMs || 3000) / 100 && !settled(); i++) await sleep(100);
+      if (authToken) mocks.note({ type:"auth", check:"stream_replay", status: await streamStatus(server.port, twiml.streamPath) });
+    }
+  } catch(e){
+    mocks.note({ type:"error", error:`SIM_FAILED: ${e.message}`, n: mocks.llmCalls });
+  } finally {
+    ws?.terminate();
+    await server?.stop();
+    await mocks.close();
+    try { outboxJournal = fs.readFileSync(path.join(dataDir, "outbox.jsonl"), "utf8").split("\n").filter(Boolean); } catch {}
+    fs.rmSync(dataDir, { recursive:true, force:true });
+  }
+
+  // Tool results reach us as role:"tool" messages on the following LLM request
+  const toolCalls = new Map();
+  for (const e of mocks.events.filter(e => e.type === "llm_reply")) e.tools.forEach((t,i) => toolCalls.set(`call_sim_${e.n}_${i}`, t));
+  const toolResults = [], seen = new Set();
+  for (const e of mocks.events) {
+    if (e.type === "caller") transcript.push({ who:"caller", text:e.text });
+    if (e.type === "tts") transcript.push({ who:"agent", text:e.text });
+    if (e.type === "clear") transcript.push({ who:"twilio", text:"clear (barge-in)" });
+    if (e.type === "llm_reply") for (const t of e.tools) transcript.push({ who:"tool→", text:`${t.name} ${JSON.stringify(t.args)}` });
+    if (e.type === "llm_request") for (const m of e.messages || []) {
+      if (m.role !== "tool" || seen.has(m.tool_call_id)) continue;
+      seen.add(m.tool_call_id);
+      let result = m.content;
+      try { result = JSON.parse(m.content); } catch {}
+      toolResults.push({ name: toolCalls.get(m.tool_call_id)?.name || "?", result });
+      transcript.push({ who:"tool←", text: String(m.content).slice(0, 200) });
+    }
+    if (e.type === "receptorx") transcript.push({ who:"receptorx", text:`${e.name} ${e.status} ${JSON.stringify(e.body).slice(0, 160)}` });
+    if (e.type === "twilio_api") transcript.push({ who:"twilio", text:`${e.path} ${JSON.stringify(e.body).slice(0, 160)}` });
+    if (e.type === "auth") transcript.push({ who:"auth", text:`${e.check} → ${e.status}` });
+    if (e.type === "error") transcript.push({ who:"error", text:e.error });
+  }
+
+  const summary = mocks.events.filter(e => e.type === "receptorx" && e.name === "call-summary").at(-1)?.body || null;
+  const result = { name: scenario.name || "scenario", events: mocks.events, transcript, toolResults, summary, outboxJournal,
+    llmCalls: mocks.llmCalls, agentSteps: mocks.agentSteps, serverLog: server?.logs.join("") || "",
+    agentScript: (scenario.steps || []).filter(s => s.agent).map(s => s.agent) };
+  result.failures = check(scenario.expect, result);
+  result.ok = !result.failures.length;
+  return result;
+}
+
+/* ===== CLI ===== */
+function scenarioFiles(args){
+  const files = [];
+  for (const a of args) {
+    if (fs.statSync(a).isDirectory()) files.push(...fs.readdirSync(a).filter(f => f.endsWith(".json")).sort().map(f => path.join(a, f)));
+    else files.push(a);
+  }
+  return files;
+}
+
+async function main(){
+  const args = process.argv.slice(2);
+  const flags = new Set(args.filter(a => a.startsWith("--")));
+  const files = scenarioFiles(args.filter(a => !a.startsWith("--")).length ? args.filter(a => !a.startsWith("--")) : [path.join(ROOT, "sim", "scenarios")]);
+  const results = [];
+  for (const file of files) {
+    const r = await runScenario(JSON.parse(fs.readFileSync(file, "utf8")), { verbose: flags.has("--verbose") });
+    results.push({ file, ...r });
+    if (flags.has("--json")) continue;
+    console.log(`\n=== ${r.name} (${path.relative(process.cwd(), file)}) ===`);
+    for (const line of r.transcript) console.log(`  ${line.who.padEnd(10)} ${line.text}`);
+    console.log(r.ok ? "  ✅ PASS" : `  ❌ FAIL\n${r.failures.map(f => `     - ${f}`).join("\n")}`);
+  }
+  if (flags.has("--json")) console.log(JSON.stringify(results.map(({ file, name, ok, failures, transcript, summary }) => ({ file, name, ok, failures, transcript, summary })), null, 2));
+  else console.log(`\n${results.filter(r => r.ok).length}/${results.length} scenario(s) passed`);
+  process.exitCode = results.every(r => r.ok) ? 0 : 1;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) main();